@@ -0,0 +1,434 @@
+/**
+ * Benchmark for Data Analytics Platform
+ * Starts a server on an empty store in a temporary directory, seeds it with synthetic
+ * users, page views and events through the import endpoint, then times dashboard,
+ * statistics and journey requests
+ *
+ * Usage:
+ *   node benchmark.js [--pageviews=200000] [--events=100000] [--users=5000] [--days=30] [--requests=20]
+ *
+ * The server listens on port 3000, so stop any other server first.
+ */
+
+var http = require('http');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+
+var PORT = 3000;
+
+// Defaults for the command line options
+var DEFAULT_OPTIONS = {
+    pageviews: 200000,
+    events: 100000,
+    users: 5000,
+    days: 30,
+    requests: 20
+};
+
+// Rows sent per import request, well below the server's import size limit
+var IMPORT_CHUNK_ROWS = 20000;
+
+var PAGES = ['/', '/pricing', '/features', '/docs', '/docs/install', '/docs/api', '/blog', '/blog/launch', '/signup', '/checkout'];
+var EVENT_NAMES = ['button_click', 'signup', 'search', 'video_play', 'purchase'];
+var USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_1) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1'
+];
+var REFERRERS = ['', 'https://www.google.com/', 'https://t.co/abc', 'https://news.example.com/post'];
+
+/**
+ * Read --name=value options, falling back to the defaults
+ */
+function parseArguments(args) {
+    var options = {};
+    
+    for (var name in DEFAULT_OPTIONS) {
+        options[name] = DEFAULT_OPTIONS[name];
+    }
+    
+    args.forEach(function(arg) {
+        var match = /^--([a-z]+)=(\d+)$/.exec(arg);
+        
+        if (!match || DEFAULT_OPTIONS[match[1]] === undefined) {
+            console.log('Usage: node benchmark.js [--pageviews=N] [--events=N] [--users=N] [--days=N] [--requests=N]');
+            process.exit(1);
+        }
+        options[match[1]] = parseInt(match[2], 10);
+    });
+    
+    return options;
+}
+
+/**
+ * Create a seeded random number generator (Park-Miller), so every run seeds the same data
+ */
+function createRandom(seed) {
+    return function() {
+        seed = seed * 16807 % 2147483647;
+        return (seed - 1) / 2147483646;
+    };
+}
+
+/**
+ * Pick a random item of an array
+ */
+function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Generate synthetic data: users, and visits spread evenly over the last days, each a
+ * session of a few page views with events in between
+ * A third of the visits are anonymous.
+ */
+function generateData(options) {
+    var random = createRandom(42);
+    var now = Date.now();
+    var start = now - options.days * 24 * 60 * 60 * 1000;
+    var data = { users: [], pageViews: [], events: [] };
+    var visits = Math.max(1, Math.round(options.pageviews / 4));
+    var eventsPerPageView = options.events / Math.max(1, options.pageviews);
+    
+    for (var i = 0; i < options.users; i++) {
+        data.users.push({
+            userId: 'user_' + i,
+            email: 'user_' + i + '@example.com',
+            name: 'User ' + i,
+            registeredAt: new Date(start + random() * (now - start)).toISOString(),
+            metadata: { plan: pick(random, ['free', 'pro', 'team']) }
+        });
+    }
+    
+    for (var visit = 0; visit < visits && data.pageViews.length < options.pageviews; visit++) {
+        var time = start + (visit + random()) * (now - start) / visits;
+        var identity = random() < 1 / 3 ?
+            { anonymousId: 'anon_' + Math.floor(random() * options.users * 2) } :
+            { userId: 'user_' + Math.floor(random() * options.users) };
+        var userAgent = pick(random, USER_AGENTS);
+        var referrer = pick(random, REFERRERS);
+        var pages = 1 + Math.floor(random() * 7);
+        
+        for (var p = 0; p < pages && data.pageViews.length < options.pageviews && time < now; p++) {
+            var pageView = { page: pick(random, PAGES), sessionId: 'visit_' + visit, userAgent: userAgent, referrer: p === 0 ? referrer : '' };
+            copyIdentity(identity, pageView);
+            pageView.timestamp = new Date(time).toISOString();
+            data.pageViews.push(pageView);
+            
+            while (random() < eventsPerPageView / (1 + eventsPerPageView) && data.events.length < options.events) {
+                time += 1000 + random() * 10000;
+                var eventName = pick(random, EVENT_NAMES);
+                var event = { eventName: eventName, sessionId: 'visit_' + visit, properties: { plan: pick(random, ['free', 'pro', 'team']) } };
+                if (eventName === 'purchase') {
+                    event.properties.amount = Math.round(random() * 20000) / 100;
+                    event.properties.currency = 'USD';
+                }
+                copyIdentity(identity, event);
+                event.timestamp = new Date(time).toISOString();
+                data.events.push(event);
+            }
+            
+            time += 5000 + random() * 60000;
+        }
+    }
+    
+    return data;
+}
+
+/**
+ * Copy the userId or anonymousId of a visit onto a record
+ */
+function copyIdentity(identity, record) {
+    for (var field in identity) {
+        record[field] = identity[field];
+    }
+}
+
+/**
+ * Make an HTTP request to the server, calling back with the status code and body
+ */
+function request(apiKey, method, requestPath, body, callback) {
+    var req = http.request({
+        hostname: 'localhost',
+        port: PORT,
+        path: requestPath,
+        method: method,
+        headers: {
+            'Content-Type': 'application/x-ndjson',
+            'Content-Length': body ? Buffer.byteLength(body) : 0,
+            'X-API-Key': apiKey
+        }
+    }, function(res) {
+        var chunks = [];
+        
+        res.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        
+        res.on('end', function() {
+            callback(null, res.statusCode, Buffer.concat(chunks).toString('utf8'));
+        });
+    });
+    
+    req.on('error', function(error) {
+        callback(error, 0, null);
+    });
+    
+    if (body) {
+        req.write(body);
+    }
+    req.end();
+}
+
+/**
+ * Import records of one type in chunks, one request at a time
+ */
+function importRecords(apiKey, type, records, callback) {
+    var offset = 0;
+    
+    function next() {
+        if (offset >= records.length) {
+            callback(null);
+            return;
+        }
+        
+        var body = records.slice(offset, offset + IMPORT_CHUNK_ROWS).map(function(record) {
+            return JSON.stringify(record);
+        }).join('\n');
+        
+        request(apiKey, 'POST', '/api/import?type=' + type + '&format=ndjson', body, function(error, statusCode, responseBody) {
+            if (error || statusCode !== 200) {
+                callback(error || new Error('Import failed (' + statusCode + '): ' + responseBody));
+                return;
+            }
+            
+            offset += IMPORT_CHUNK_ROWS;
+            next();
+        });
+    }
+    
+    next();
+}
+
+/**
+ * Get a percentile of ascending sorted values
+ */
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+/**
+ * Time a request a number of times; pathOf gives the path of each attempt
+ */
+function timeRequests(apiKey, pathOf, count, callback) {
+    var timings = [];
+    
+    function next() {
+        if (timings.length >= count) {
+            callback(null, timings);
+            return;
+        }
+        
+        var started = process.hrtime();
+        request(apiKey, 'GET', pathOf(timings.length), null, function(error, statusCode) {
+            if (error || statusCode !== 200) {
+                callback(error || new Error('Request failed with status ' + statusCode));
+                return;
+            }
+            
+            var elapsed = process.hrtime(started);
+            timings.push(elapsed[0] * 1000 + elapsed[1] / 1e6);
+            next();
+        });
+    }
+    
+    next();
+}
+
+/**
+ * Format a number of milliseconds for the report
+ */
+function formatMs(value) {
+    return (value < 10 ? value.toFixed(2) : value.toFixed(1)) + ' ms';
+}
+
+/**
+ * Pad a string to a width
+ */
+function pad(text, width) {
+    while (text.length < width) {
+        text += ' ';
+    }
+    return text;
+}
+
+/**
+ * Time each benchmarked request and print its latencies
+ */
+function runBenchmarks(apiKey, options, callback) {
+    var benchmarks = [
+        { label: 'GET /stats?hours=24', path: function() {
+            return '/stats?hours=24';
+        } },
+        { label: 'GET /stats?hours=' + options.days * 24, path: function() {
+            return '/stats?hours=' + options.days * 24;
+        } },
+        { label: 'GET / (dashboard, 24 hours)', path: function() {
+            return '/';
+        } },
+        { label: 'GET /api/users/{userId}/journey', path: function(attempt) {
+            return '/api/users/user_' + (attempt * 7919 % Math.max(1, options.users)) + '/journey';
+        } }
+    ];
+    
+    console.log('');
+    console.log(pad('Request', 36) + pad('p50', 12) + pad('p95', 12) + 'max');
+    
+    function next(index) {
+        if (index >= benchmarks.length) {
+            callback(null);
+            return;
+        }
+        
+        var benchmark = benchmarks[index];
+        timeRequests(apiKey, benchmark.path, options.requests, function(error, timings) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            
+            timings.sort(function(a, b) {
+                return a - b;
+            });
+            console.log(pad(benchmark.label, 36) + pad(formatMs(percentile(timings, 50)), 12) +
+                pad(formatMs(percentile(timings, 95)), 12) + formatMs(timings[timings.length - 1]));
+            next(index + 1);
+        });
+    }
+    
+    next(0);
+}
+
+/**
+ * Remove the temporary directory and the data files the server left in it
+ */
+function removeDirectory(directory) {
+    fs.readdirSync(directory).forEach(function(file) {
+        fs.unlinkSync(path.join(directory, file));
+    });
+    fs.rmdirSync(directory);
+}
+
+/**
+ * Start the server in a directory, calling back with the admin key it prints once listening
+ */
+function startServer(directory, callback) {
+    var output = '';
+    var env = {};
+    
+    for (var name in process.env) {
+        env[name] = process.env[name];
+    }
+    
+    // No snapshots while seeding, so it measures ingestion rather than disk writes
+    env.SNAPSHOT_EVERY_ENTRIES = '1000000000';
+    env.SNAPSHOT_INTERVAL_SECONDS = '86400';
+    
+    var server = childProcess.spawn(process.execPath, [path.join(__dirname, 'index.js')], {
+        cwd: directory,
+        env: env,
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    
+    server.stdout.setEncoding('utf8');
+    server.stdout.on('data', function onData(chunk) {
+        output += chunk;
+        
+        var key = /^\s+(ak_\S+)/m.exec(output);
+        if (key && output.indexOf('Server running') !== -1) {
+            server.stdout.removeListener('data', onData);
+            server.stdout.resume();
+            callback(null, server, key[1]);
+        }
+    });
+    
+    server.on('exit', function(code) {
+        if (output.indexOf('Server running') === -1) {
+            callback(new Error('Server exited with code ' + code + ' before it started'));
+        }
+    });
+}
+
+/**
+ * Run the benchmark
+ */
+function runBenchmark() {
+    var options = parseArguments(process.argv.slice(2));
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-benchmark-'));
+    var server = null;
+    
+    // The server writes a snapshot as it shuts down, so its directory goes once it has exited
+    function finish(error) {
+        if (error) {
+            console.log('Benchmark failed:', error.message);
+        }
+        process.exitCode = error ? 1 : 0;
+        
+        if (server && server.exitCode === null) {
+            server.on('exit', function() {
+                removeDirectory(directory);
+            });
+            server.kill();
+        } else {
+            removeDirectory(directory);
+        }
+    }
+    
+    console.log('=====================================');
+    console.log('Data Analytics Platform Benchmark');
+    console.log('=====================================');
+    
+    var data = generateData(options);
+    console.log('Generated ' + data.users.length + ' users, ' + data.pageViews.length + ' page views and ' +
+        data.events.length + ' events over ' + options.days + ' days');
+    
+    startServer(directory, function(error, startedServer, apiKey) {
+        if (error) {
+            finish(error);
+            return;
+        }
+        server = startedServer;
+        
+        var seedStarted = Date.now();
+        importRecords(apiKey, 'user', data.users, function(error) {
+            if (error) {
+                finish(error);
+                return;
+            }
+            importRecords(apiKey, 'pageview', data.pageViews, function(error) {
+                if (error) {
+                    finish(error);
+                    return;
+                }
+                importRecords(apiKey, 'event', data.events, function(error) {
+                    if (error) {
+                        finish(error);
+                        return;
+                    }
+                    
+                    var seconds = (Date.now() - seedStarted) / 1000;
+                    var total = data.users.length + data.pageViews.length + data.events.length;
+                    console.log('Seeded ' + total + ' records in ' + seconds.toFixed(1) + ' s (' +
+                        Math.round(total / seconds) + ' records/s)');
+                    
+                    runBenchmarks(apiKey, options, finish);
+                });
+            });
+        });
+    });
+}
+
+// Run the benchmark
+runBenchmark();
@@ -1,228 +1,331 @@
 /**
- * Test Client for Data Analytics Platform
- * Demonstrates how to send data to the analytics platform
+ * Node Client for Data Analytics Platform
+ * Queues page views, events, identify calls and user updates and sends them in batches
+ *
+ * Usage:
+ *   var AnalyticsClient = require('./client');
+ *   var client = new AnalyticsClient({ baseUrl: 'http://localhost:3000', apiKey: 'wk_...' });
+ *   client.trackEvent({ eventName: 'signup', userId: 'user_001' }).then(function(event) { ... });
  */
 
 var http = require('http');
+var https = require('https');
+var url = require('url');
+var querystring = require('querystring');
 
-var HOST = 'localhost';
-var PORT = 3000;
+// Defaults for the client options
+var DEFAULT_OPTIONS = {
+    baseUrl: 'http://localhost:3000',
+    apiKey: '',
+    project: null,
+    // Queued calls are sent every flushInterval milliseconds, or at once when flushAt are waiting
+    flushAt: 20,
+    flushInterval: 5000,
+    // Calls sent per request; the server accepts up to 500
+    maxBatchSize: 100,
+    // Calls beyond this are rejected until the queue drains
+    maxQueueSize: 10000,
+    // Failed requests are retried after retryDelay, 2 * retryDelay, 4 * retryDelay, ... milliseconds
+    maxRetries: 5,
+    retryDelay: 500,
+    timeout: 10000,
+    // Send what is queued when the process is about to exit
+    flushOnExit: true
+};
+
+// Calls that carry the time they were queued, so they are recorded when they happened
+var TIMESTAMPED_TYPES = ['pageview', 'event', 'exposure'];
 
 /**
- * Make HTTP request
+ * Create a client
  */
-function makeRequest(method, path, data, callback) {
-    var options = {
-        hostname: HOST,
-        port: PORT,
-        path: path,
-        method: method,
-        headers: {
-            'Content-Type': 'application/json'
-        }
-    };
+function AnalyticsClient(options) {
+    var self = this;
+    options = options || {};
     
-    var req = http.request(options, function(res) {
-        var body = '';
-        
-        res.on('data', function(chunk) {
-            body += chunk;
-        });
-        
-        res.on('end', function() {
-            try {
-                var response = JSON.parse(body);
-                callback(null, response);
-            } catch (error) {
-                callback(error, null);
-            }
-        });
-    });
+    for (var name in DEFAULT_OPTIONS) {
+        self[name] = options[name] !== undefined ? options[name] : DEFAULT_OPTIONS[name];
+    }
     
-    req.on('error', function(error) {
-        callback(error, null);
-    });
+    self.queue = [];
+    self.flushing = null;
+    self.closed = false;
     
-    if (data) {
-        req.write(JSON.stringify(data));
-    }
+    self.timer = setInterval(function() {
+        self.flush();
+    }, self.flushInterval);
+    self.timer.unref();
     
-    req.end();
+    // beforeExit fires whenever the event loop runs empty, so this also
+    // sends calls queued by a script that simply ends
+    self.exitHandler = function() {
+        if (self.queue.length > 0) {
+            self.flush();
+        }
+    };
+    if (self.flushOnExit) {
+        process.on('beforeExit', self.exitHandler);
+    }
 }
 
 /**
- * Track a page view
+ * Create an Error carrying the status code and field errors of a failed response
  */
-function trackPageView(pageData) {
-    console.log('Tracking page view:', pageData.page);
+function createResponseError(statusCode, body) {
+    var error = new Error((body && body.error) || 'Request failed with status ' + statusCode);
     
-    makeRequest('POST', '/api/track/pageview', pageData, function(error, response) {
-        if (error) {
-            console.log('Error tracking page view:', error.message);
-        } else {
-            console.log('Page view tracked:', response);
-        }
-    });
+    error.statusCode = statusCode;
+    if (body && body.errors) {
+        error.errors = body.errors;
+    }
+    
+    return error;
 }
 
 /**
- * Track an event
+ * Check whether a failed request is worth retrying: network errors, 429 and 5xx
  */
-function trackEvent(eventData) {
-    console.log('Tracking event:', eventData.eventName);
-    
-    makeRequest('POST', '/api/track/event', eventData, function(error, response) {
-        if (error) {
-            console.log('Error tracking event:', error.message);
-        } else {
-            console.log('Event tracked:', response);
-        }
-    });
+function isRetryable(error) {
+    return !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
 }
 
 /**
- * Register a user
+ * Wait a number of milliseconds
  */
-function registerUser(userData) {
-    console.log('Registering user:', userData.email);
-    
-    makeRequest('POST', '/api/users', userData, function(error, response) {
-        if (error) {
-            console.log('Error registering user:', error.message);
-        } else {
-            console.log('User registered:', response);
-        }
+function delay(milliseconds) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, milliseconds);
     });
 }
 
 /**
- * Get statistics
+ * Make one HTTP request, resolving with the parsed body of a 2xx response
  */
-function getStatistics(hours) {
-    console.log('Fetching statistics for last', hours, 'hours');
+AnalyticsClient.prototype.send = function(method, path, data) {
+    var self = this;
+    var target = url.parse(self.baseUrl);
+    var body = data ? JSON.stringify(data) : null;
+    var prefix = self.project ? '/p/' + encodeURIComponent(self.project) : '';
     
-    makeRequest('GET', '/stats?hours=' + hours, null, function(error, response) {
-        if (error) {
-            console.log('Error fetching stats:', error.message);
-        } else {
-            console.log('Statistics:', JSON.stringify(response, null, 2));
+    return new Promise(function(resolve, reject) {
+        var req = (target.protocol === 'https:' ? https : http).request({
+            hostname: target.hostname,
+            port: target.port,
+            path: (target.pathname || '/').replace(/\/$/, '') + prefix + path,
+            method: method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': body ? Buffer.byteLength(body) : 0,
+                'X-API-Key': self.apiKey
+            }
+        }, function(res) {
+            var responseBody = '';
+            
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                responseBody += chunk;
+            });
+            
+            res.on('end', function() {
+                var parsed = null;
+                try {
+                    parsed = JSON.parse(responseBody);
+                } catch (error) {
+                    parsed = null;
+                }
+                
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(parsed);
+                } else {
+                    reject(createResponseError(res.statusCode, parsed));
+                }
+            });
+        });
+        
+        req.setTimeout(self.timeout, function() {
+            req.destroy(new Error('Request timed out after ' + self.timeout + ' ms'));
+        });
+        req.on('error', reject);
+        
+        if (body) {
+            req.write(body);
         }
+        req.end();
     });
-}
+};
 
 /**
- * Run demo tests
+ * Make an HTTP request, retrying with exponential backoff
  */
-function runDemo() {
-    console.log('=====================================');
-    console.log('Starting Analytics Platform Demo');
-    console.log('=====================================\n');
+AnalyticsClient.prototype.request = function(method, path, data) {
+    var self = this;
     
-    // Wait a bit to ensure server is ready
-    setTimeout(function() {
-        // Register users
-        registerUser({
-            userId: 'user_001',
-            email: 'john@example.com',
-            name: 'John Doe',
-            metadata: { plan: 'premium' }
-        });
-        
-        setTimeout(function() {
-            registerUser({
-                userId: 'user_002',
-                email: 'jane@example.com',
-                name: 'Jane Smith',
-                metadata: { plan: 'free' }
-            });
-        }, 500);
-        
-        // Track page views
-        setTimeout(function() {
-            trackPageView({
-                page: '/home',
-                userId: 'user_001',
-                sessionId: 'session_001',
-                referrer: 'https://google.com'
-            });
-        }, 1000);
-        
-        setTimeout(function() {
-            trackPageView({
-                page: '/products',
-                userId: 'user_001',
-                sessionId: 'session_001'
-            });
-        }, 1500);
-        
-        setTimeout(function() {
-            trackPageView({
-                page: '/home',
-                userId: 'user_002',
-                sessionId: 'session_002'
-            });
-        }, 2000);
-        
-        setTimeout(function() {
-            trackPageView({
-                page: '/pricing',
-                userId: 'user_002',
-                sessionId: 'session_002'
+    function attempt(retry) {
+        return self.send(method, path, data).catch(function(error) {
+            if (retry >= self.maxRetries || !isRetryable(error)) {
+                throw error;
+            }
+            
+            return delay(self.retryDelay * Math.pow(2, retry)).then(function() {
+                return attempt(retry + 1);
             });
-        }, 2500);
+        });
+    }
+    
+    return attempt(0);
+};
+
+/**
+ * Queue a call for the next batch
+ * The promise settles with that call's own result once its batch has been sent.
+ * Page views, events and exposures get the current time as their timestamp unless they have one.
+ */
+AnalyticsClient.prototype.enqueue = function(type, data) {
+    var self = this;
+    
+    return new Promise(function(resolve, reject) {
+        if (self.closed) {
+            reject(new Error('The client has been shut down'));
+            return;
+        }
+        if (self.queue.length >= self.maxQueueSize) {
+            reject(new Error('The queue is full (' + self.maxQueueSize + ' calls)'));
+            return;
+        }
         
-        // Track events
-        setTimeout(function() {
-            trackEvent({
-                eventName: 'button_click',
-                category: 'engagement',
-                userId: 'user_001',
-                sessionId: 'session_001',
-                properties: {
-                    buttonId: 'cta_subscribe',
-                    page: '/products'
-                }
-            });
-        }, 3000);
+        var item = { type: type };
+        for (var field in data) {
+            item[field] = data[field];
+        }
+        if (TIMESTAMPED_TYPES.indexOf(type) !== -1 && item.timestamp === undefined) {
+            item.timestamp = new Date().toISOString();
+        }
         
-        setTimeout(function() {
-            trackEvent({
-                eventName: 'purchase',
-                category: 'conversion',
-                userId: 'user_001',
-                sessionId: 'session_001',
-                properties: {
-                    product: 'Premium Plan',
-                    amount: 99.99,
-                    currency: 'USD'
-                }
-            });
-        }, 3500);
+        self.queue.push({ item: item, resolve: resolve, reject: reject });
         
-        setTimeout(function() {
-            trackEvent({
-                eventName: 'video_play',
-                category: 'engagement',
-                userId: 'user_002',
-                sessionId: 'session_002',
-                properties: {
-                    videoId: 'demo_video_001',
-                    duration: 120
-                }
-            });
-        }, 4000);
+        if (self.queue.length >= self.flushAt) {
+            self.flush();
+        }
+    });
+};
+
+/**
+ * Send one batch and settle the promise of every call in it
+ * Never rejects: a failed request, or an answer without a result for a call, rejects that call.
+ */
+AnalyticsClient.prototype.sendBatch = function(entries) {
+    var batch = entries.map(function(entry) {
+        return entry.item;
+    });
+    
+    return this.request('POST', '/api/track/batch', { batch: batch }).then(function(response) {
+        var results = response && Array.isArray(response.results) ? response.results : [];
         
-        // Get statistics
-        setTimeout(function() {
-            console.log('\n=====================================');
-            getStatistics(24);
-            console.log('=====================================\n');
-            console.log('Demo completed!');
-            console.log('Visit http://localhost:' + PORT + ' to view the dashboard');
-        }, 5000);
+        results.forEach(function(result) {
+            var entry = result ? entries[result.index] : null;
+            
+            if (!entry) {
+                return;
+            } else if (result.success) {
+                entry.resolve(result.data);
+            } else {
+                entry.reject(createResponseError(422, result));
+            }
+        });
         
-    }, 1000);
-}
+        // Settling twice has no effect, so this only reaches calls left without a result
+        entries.forEach(function(entry) {
+            entry.reject(new Error('The server answered without a result for this call'));
+        });
+    }).catch(function(error) {
+        entries.forEach(function(entry) {
+            entry.reject(error);
+        });
+    });
+};
+
+/**
+ * Send everything queued, one batch at a time
+ * Resolves once the queue is empty, including calls queued while flushing.
+ */
+AnalyticsClient.prototype.flush = function() {
+    var self = this;
+    
+    if (self.flushing) {
+        return self.flushing.then(function() {
+            return self.flush();
+        });
+    }
+    if (self.queue.length === 0) {
+        return Promise.resolve();
+    }
+    
+    var entries = self.queue.splice(0, self.maxBatchSize);
+    
+    self.flushing = self.sendBatch(entries).then(function() {
+        self.flushing = null;
+        return self.flush();
+    }, function(error) {
+        self.flushing = null;
+        throw error;
+    });
+    
+    return self.flushing;
+};
+
+/**
+ * Send everything queued and stop the client; later calls are rejected
+ */
+AnalyticsClient.prototype.shutdown = function() {
+    this.closed = true;
+    clearInterval(this.timer);
+    process.removeListener('beforeExit', this.exitHandler);
+    
+    return this.flush();
+};
+
+/**
+ * Track a page view
+ */
+AnalyticsClient.prototype.trackPageView = function(pageData) {
+    return this.enqueue('pageview', pageData);
+};
+
+/**
+ * Track an event
+ */
+AnalyticsClient.prototype.trackEvent = function(eventData) {
+    return this.enqueue('event', eventData);
+};
+
+/**
+ * Record that a user saw a variant of an experiment
+ */
+AnalyticsClient.prototype.trackExposure = function(exposureData) {
+    return this.enqueue('exposure', exposureData);
+};
+
+/**
+ * Register or update a user
+ */
+AnalyticsClient.prototype.registerUser = function(userData) {
+    return this.enqueue('user', userData);
+};
+
+/**
+ * Link an anonymous ID to a user ID
+ */
+AnalyticsClient.prototype.identify = function(anonymousId, userId) {
+    return this.enqueue('identify', { anonymousId: anonymousId, userId: userId });
+};
+
+/**
+ * Get statistics; options are the query parameters of /stats, e.g. { hours: 24 }
+ */
+AnalyticsClient.prototype.getStatistics = function(options) {
+    var query = querystring.stringify(options || {});
+    
+    return this.request('GET', '/stats' + (query ? '?' + query : ''), null);
+};
 
-// Run the demo
-runDemo();
+module.exports = AnalyticsClient;
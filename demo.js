@@ -0,0 +1,132 @@
+/**
+ * Demo for Data Analytics Platform
+ * Sends sample users, page views and events through the Node client and prints the statistics
+ *
+ * Usage:
+ *   ANALYTICS_API_KEY=ak_... node demo.js
+ */
+
+var AnalyticsClient = require('./client');
+
+var HOST = process.env.ANALYTICS_HOST || 'localhost';
+var PORT = parseInt(process.env.ANALYTICS_PORT, 10) || 3000;
+
+// A key that may both track and read statistics, e.g. the admin key printed on first server start
+var API_KEY = process.env.ANALYTICS_API_KEY || '';
+
+var client = new AnalyticsClient({
+    baseUrl: 'http://' + HOST + ':' + PORT,
+    apiKey: API_KEY
+});
+
+/**
+ * Log the outcome of a queued call
+ */
+function logResult(label, promise) {
+    return promise.then(function(data) {
+        console.log(label + ':', JSON.stringify(data));
+    }, function(error) {
+        console.log('Error (' + label + '):', error.message);
+    });
+}
+
+/**
+ * Run the demo
+ */
+function runDemo() {
+    console.log('=====================================');
+    console.log('Starting Analytics Platform Demo');
+    console.log('=====================================\n');
+    
+    var calls = [
+        // Register users
+        logResult('User registered', client.registerUser({
+            userId: 'user_001',
+            email: 'john@example.com',
+            name: 'John Doe',
+            metadata: { plan: 'premium' }
+        })),
+        logResult('User registered', client.registerUser({
+            userId: 'user_002',
+            email: 'jane@example.com',
+            name: 'Jane Smith',
+            metadata: { plan: 'free' }
+        })),
+        
+        // Track page views
+        logResult('Page view tracked', client.trackPageView({
+            page: '/home',
+            userId: 'user_001',
+            sessionId: 'session_001',
+            referrer: 'https://google.com'
+        })),
+        logResult('Page view tracked', client.trackPageView({
+            page: '/products',
+            userId: 'user_001',
+            sessionId: 'session_001'
+        })),
+        logResult('Page view tracked', client.trackPageView({
+            page: '/home',
+            userId: 'user_002',
+            sessionId: 'session_002'
+        })),
+        logResult('Page view tracked', client.trackPageView({
+            page: '/pricing',
+            userId: 'user_002',
+            sessionId: 'session_002'
+        })),
+        
+        // Track events
+        logResult('Event tracked', client.trackEvent({
+            eventName: 'button_click',
+            category: 'engagement',
+            userId: 'user_001',
+            sessionId: 'session_001',
+            properties: {
+                buttonId: 'cta_subscribe',
+                page: '/products'
+            }
+        })),
+        logResult('Event tracked', client.trackEvent({
+            eventName: 'purchase',
+            category: 'conversion',
+            userId: 'user_001',
+            sessionId: 'session_001',
+            properties: {
+                product: 'Premium Plan',
+                amount: 99.99,
+                currency: 'USD'
+            }
+        })),
+        logResult('Event tracked', client.trackEvent({
+            eventName: 'video_play',
+            category: 'engagement',
+            userId: 'user_002',
+            sessionId: 'session_002',
+            properties: {
+                videoId: 'demo_video_001',
+                duration: 120
+            }
+        }))
+    ];
+    
+    // Everything above goes out in one batch
+    client.flush();
+    
+    Promise.all(calls).then(function() {
+        return client.getStatistics({ hours: 24 });
+    }).then(function(stats) {
+        console.log('\n=====================================');
+        console.log('Statistics:', JSON.stringify(stats, null, 2));
+        console.log('=====================================\n');
+        console.log('Demo completed!');
+        console.log('Visit http://' + HOST + ':' + PORT + '/?key=' + API_KEY + ' to view the dashboard');
+    }, function(error) {
+        console.log('Error fetching stats:', error.message);
+    }).then(function() {
+        return client.shutdown();
+    });
+}
+
+// Run the demo
+runDemo();
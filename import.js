@@ -0,0 +1,148 @@
+/**
+ * Import Script for Data Analytics Platform
+ * Loads historical page views, events or users from a CSV or NDJSON file
+ *
+ * Usage:
+ *   node import.js --type=event [--format=csv|ndjson] [--project=shop] [--dry-run] events.csv
+ */
+
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+
+var HOST = process.env.ANALYTICS_HOST || 'localhost';
+var PORT = parseInt(process.env.ANALYTICS_PORT, 10) || 3000;
+
+// An admin key
+var API_KEY = process.env.ANALYTICS_API_KEY || '';
+
+/**
+ * Read --name=value and --flag options and the file argument
+ */
+function parseArguments(args) {
+    var options = { file: null };
+    
+    args.forEach(function(arg) {
+        var match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+        
+        if (match) {
+            options[match[1]] = match[2] === undefined ? true : match[2];
+        } else {
+            options.file = arg;
+        }
+    });
+    
+    if (!options.format && options.file) {
+        options.format = /\.(ndjson|jsonl)$/i.test(options.file) ? 'ndjson' : 'csv';
+    }
+    
+    return options;
+}
+
+/**
+ * Print the usage and exit
+ */
+function printUsage() {
+    console.log('Usage: node import.js --type=pageview|event|user [--format=csv|ndjson] [--project=id] [--dry-run] <file>');
+    console.log('');
+    console.log('Set ANALYTICS_API_KEY to an admin key. CSV files need a header row;');
+    console.log('nested values go in dotted columns such as properties.plan or metadata.company.');
+    process.exit(1);
+}
+
+/**
+ * Send the file to the import endpoint
+ */
+function uploadFile(options, callback) {
+    var requestPath = (options.project ? '/p/' + encodeURIComponent(options.project) : '') +
+        '/api/import?type=' + encodeURIComponent(options.type) +
+        '&format=' + encodeURIComponent(options.format) +
+        (options['dry-run'] ? '&dryRun=true' : '');
+    
+    var req = http.request({
+        hostname: HOST,
+        port: PORT,
+        path: requestPath,
+        method: 'POST',
+        headers: {
+            'Content-Type': options.format === 'csv' ? 'text/csv' : 'application/x-ndjson',
+            'Content-Length': fs.statSync(options.file).size,
+            'X-API-Key': API_KEY
+        }
+    }, function(res) {
+        var body = '';
+        
+        res.on('data', function(chunk) {
+            body += chunk;
+        });
+        
+        res.on('end', function() {
+            try {
+                callback(null, res.statusCode, JSON.parse(body));
+            } catch (error) {
+                callback(error, res.statusCode, null);
+            }
+        });
+    });
+    
+    req.on('error', function(error) {
+        callback(error, 0, null);
+    });
+    
+    fs.createReadStream(options.file).pipe(req);
+}
+
+/**
+ * Print the import summary and the rejected lines
+ */
+function printSummary(file, result) {
+    console.log('=====================================');
+    console.log((result.dryRun ? 'Dry run of ' : 'Imported ') + path.basename(file) + ' (' + result.type + ')');
+    console.log('=====================================');
+    console.log((result.dryRun ? 'Would import: ' : 'Imported: ') + result.imported);
+    console.log('Skipped (duplicates): ' + result.skipped);
+    console.log('Rejected: ' + result.rejected);
+    
+    result.errors.forEach(function(entry) {
+        var messages = entry.errors.map(function(error) {
+            return error.field + ' ' + error.message;
+        });
+        console.log('  Line ' + entry.line + ': ' + messages.join('; '));
+    });
+    
+    if (result.errorsTruncated) {
+        console.log('  ... only the first ' + result.errors.length + ' rejected lines are listed');
+    }
+}
+
+/**
+ * Run the import
+ */
+function runImport() {
+    var options = parseArguments(process.argv.slice(2));
+    
+    if (!options.type || !options.file) {
+        printUsage();
+    }
+    if (!fs.existsSync(options.file)) {
+        console.log('File not found: ' + options.file);
+        process.exit(1);
+    }
+    
+    uploadFile(options, function(error, statusCode, result) {
+        if (error) {
+            console.log('Error importing file:', error.message);
+            process.exit(1);
+        }
+        if (statusCode !== 200) {
+            console.log('Import failed (' + statusCode + '):', result.error);
+            process.exit(1);
+        }
+        
+        printSummary(options.file, result);
+        process.exit(result.rejected > 0 ? 1 : 0);
+    });
+}
+
+// Run the import
+runImport();
@@ -1,281 +1,6910 @@
 /**
  * Data Analytics Platform
  * Traditional JavaScript Implementation
- * Uses Node.js built-in modules: http, fs, url, querystring
+ * Uses Node.js built-in modules: http, https, fs, url, querystring, zlib
  */
 
 var http = require('http');
+var crypto = require('crypto');
 var fs = require('fs');
 var url = require('url');
 var querystring = require('querystring');
+var zlib = require('zlib');
+var https = require('https');
 
 // Configuration
 var PORT = 3000;
 var DATA_FILE = './analytics-data.json';
 
+// Browser tracker served at GET /tracker.js, and how long browsers may cache it
+var TRACKER_FILE = __dirname + '/tracker.js';
+var TRACKER_MAX_AGE_SECONDS = 3600;
+
+// A dashboard opened with ?key= trades the key for a session cookie, so the key does not
+// stay in the address bar, in links or in the live stream URL
+var DASHBOARD_SESSION_COOKIE = 'dashboard_session';
+var DASHBOARD_SESSION_HOURS = 12;
+
+// A session ends after this many minutes without a page view or event
+var SESSION_TIMEOUT_MINUTES = parseInt(process.env.SESSION_TIMEOUT_MINUTES, 10) || 30;
+
+// A page view or event may carry the time it happened, at most this old (for calls queued
+// while offline) or this far ahead of the server clock; older data goes through imports
+var TIMESTAMP_MAX_AGE_HOURS = parseInt(process.env.TIMESTAMP_MAX_AGE_HOURS, 10) || 24;
+var TIMESTAMP_MAX_AHEAD_MINUTES = 5;
+
+// Snapshot of the whole store, plus the log of changes made since it was taken
+var LOG_FILE = './analytics-data.log';
+
+// The log is compacted into a new snapshot after this many entries, or this many seconds
+var SNAPSHOT_EVERY_ENTRIES = parseInt(process.env.SNAPSHOT_EVERY_ENTRIES, 10) || 1000;
+var SNAPSHOT_INTERVAL_SECONDS = parseInt(process.env.SNAPSHOT_INTERVAL_SECONDS, 10) || 300;
+
+// Days raw records are kept before they are rolled up into daily aggregates (0 keeps them
+// forever), the time field they expire on, and how often the retention job runs
+var RETENTION_DAYS = {
+    pageViews: parseInt(process.env.RETENTION_PAGEVIEWS_DAYS, 10) || 0,
+    events: parseInt(process.env.RETENTION_EVENTS_DAYS, 10) || 0,
+    sessions: parseInt(process.env.RETENTION_SESSIONS_DAYS, 10) || 0
+};
+var RETENTION_TIME_FIELDS = {
+    pageViews: 'timestamp',
+    events: 'timestamp',
+    sessions: 'startTime'
+};
+var RETENTION_INTERVAL_MINUTES = parseInt(process.env.RETENTION_INTERVAL_MINUTES, 10) || 60;
+
+// Request limits
+var MAX_BODY_BYTES = parseInt(process.env.MAX_BODY_BYTES, 10) || 1024 * 1024;
+var MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 500;
+var MAX_IMPORT_BYTES = parseInt(process.env.MAX_IMPORT_BYTES, 10) || 50 * 1024 * 1024;
+var MAX_IMPORT_ERRORS = 100;
+
+// Live stream: how many recent messages are kept for reconnecting clients,
+// and the window and push interval of the active users count
+var STREAM_BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE, 10) || 1000;
+var ACTIVE_USERS_WINDOW_MINUTES = 5;
+var ACTIVE_USERS_INTERVAL_SECONDS = parseInt(process.env.ACTIVE_USERS_INTERVAL_SECONDS, 10) || 5;
+
+// Limits for free-form event properties and user metadata
+var MAX_PROPERTIES_DEPTH = 3;
+var MAX_PROPERTIES_KEYS = 100;
+var MAX_PROPERTIES_BYTES = 8 * 1024;
+
+// Payload schemas: missing optional fields get defaults, present fields must match
+var SCHEMAS = {
+    pageview: {
+        page: { type: 'string', minLength: 1, maxLength: 2048 },
+        userId: { type: 'string', minLength: 1, maxLength: 256 },
+        anonymousId: { type: 'string', minLength: 1, maxLength: 256 },
+        sessionId: { type: 'string', minLength: 1, maxLength: 256 },
+        url: { type: 'string', maxLength: 2048 },
+        referrer: { type: 'string', maxLength: 2048 },
+        userAgent: { type: 'string', maxLength: 1024 },
+        timestamp: { type: 'timestamp' }
+    },
+    event: {
+        eventName: { type: 'string', minLength: 1, maxLength: 128 },
+        category: { type: 'string', minLength: 1, maxLength: 128 },
+        userId: { type: 'string', minLength: 1, maxLength: 256 },
+        anonymousId: { type: 'string', minLength: 1, maxLength: 256 },
+        sessionId: { type: 'string', minLength: 1, maxLength: 256 },
+        timestamp: { type: 'timestamp' },
+        properties: { type: 'properties' }
+    },
+    user: {
+        userId: { type: 'string', minLength: 1, maxLength: 256 },
+        email: { type: 'string', maxLength: 320, pattern: /^$|^[^\s@]+@[^\s@]+$/ },
+        name: { type: 'string', maxLength: 256 },
+        metadata: { type: 'properties' }
+    },
+    identify: {
+        anonymousId: { type: 'string', required: true, minLength: 1, maxLength: 256 },
+        userId: { type: 'string', required: true, minLength: 1, maxLength: 256, pattern: /^(?!anonymous$)/ }
+    },
+    exposure: {
+        experimentId: { type: 'string', required: true, minLength: 1, maxLength: 128 },
+        variant: { type: 'string', required: true, minLength: 1, maxLength: 128 },
+        userId: { type: 'string', minLength: 1, maxLength: 256 },
+        anonymousId: { type: 'string', minLength: 1, maxLength: 256 },
+        sessionId: { type: 'string', minLength: 1, maxLength: 256 },
+        timestamp: { type: 'timestamp' }
+    }
+};
+
+// Extra rules for imported rows, which keep their original timestamps and may carry
+// an ID to de-duplicate on (users are de-duplicated on userId)
+var IMPORT_SCHEMAS = {
+    pageview: {
+        id: { type: 'string', minLength: 1, maxLength: 256 },
+        timestamp: { type: 'timestamp', required: true }
+    },
+    event: {
+        id: { type: 'string', minLength: 1, maxLength: 256 },
+        timestamp: { type: 'timestamp', required: true }
+    },
+    user: {
+        userId: { type: 'string', required: true, minLength: 1, maxLength: 256 },
+        registeredAt: { type: 'timestamp', required: true }
+    }
+};
+var IMPORT_COLLECTIONS = { pageview: 'pageViews', event: 'events', user: 'users' };
+// Dotted CSV columns build nested objects, so these names would reach Object.prototype
+var RESERVED_COLUMN_PARTS = ['__proto__', 'constructor', 'prototype'];
+var IMPORT_FORMATS = ['csv', 'ndjson'];
+
+// How DELETE /api/users/{userId} treats a person's data
+var USER_DELETION_MODES = ['delete', 'anonymize'];
+
+// Enrichment rule tables, checked in order; the first match wins
+var BROWSER_RULES = [
+    [/Edg(e|A|iOS)?\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/SamsungBrowser\//, 'Samsung Internet'],
+    [/Chrome\/|CriOS\//, 'Chrome'],
+    [/Firefox\/|FxiOS\//, 'Firefox'],
+    [/Version\/[\d.]+.*Safari\//, 'Safari'],
+    [/MSIE |Trident\//, 'Internet Explorer']
+];
+var OS_RULES = [
+    [/Windows/, 'Windows'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/CrOS/, 'Chrome OS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux|X11/, 'Linux']
+];
+var BOT_PATTERN = /bot\b|bot\/|crawl|spider|slurp|mediapartners|facebookexternalhit|headless|lighthouse|pingdom|uptime|curl\/|wget\/|python-requests|go-http-client|java\/|okhttp|axios\//i;
+var TABLET_PATTERN = /iPad|Tablet|Kindle|Silk\/|Android(?!.*Mobile)/;
+var MOBILE_PATTERN = /Mobi|iPhone|iPod|Android|Windows Phone/;
+var SEARCH_REFERRER_PATTERN = /(^|\.)(google|bing|yahoo|duckduckgo|baidu|yandex|ecosia|ask|startpage|qwant|naver|seznam)\.[a-z.]+$|^search\.brave\.com$/;
+var SOCIAL_REFERRER_PATTERN = /(^|\.)(facebook\.com|fb\.me|t\.co|twitter\.com|x\.com|linkedin\.com|lnkd\.in|instagram\.com|pinterest\.[a-z.]+|reddit\.com|youtube\.com|youtu\.be|tiktok\.com|news\.ycombinator\.com|mastodon\.social|threads\.net|vk\.com|weibo\.com)$/;
+
+// Project that requests without a project prefix or project-bound key belong to
+var DEFAULT_PROJECT_ID = 'default';
+
+var PROJECT_SCHEMA = {
+    id: { type: 'string', pattern: /^[a-z0-9][a-z0-9_-]{0,63}$/ },
+    name: { type: 'string', required: true, minLength: 1, maxLength: 128 }
+};
+
+// Time series bucket sizes, and the most buckets one series may have
+var SERIES_INTERVALS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+var MAX_SERIES_BUCKETS = 2000;
+
+// Filter expressions: the fields records can be filtered on, besides metadata.* and properties.*
+var FILTER_FIELDS = [
+    'page', 'eventName', 'category', 'referrer', 'referrerDomain', 'userId', 'sessionId',
+    'browser', 'os', 'device', 'isBot', 'referrerType', 'utmSource', 'utmMedium', 'utmCampaign'
+];
+var FILTER_OPERATORS = ['!=', '>=', '<=', '=', '~', '>', '<'];
+var MAX_FILTER_LENGTH = 2000;
+
+var SEGMENT_SCHEMA = {
+    where: { type: 'string', required: true, minLength: 1, maxLength: MAX_FILTER_LENGTH },
+    description: { type: 'string', maxLength: 512 }
+};
+
+// Export formats, and the time field each exportable collection is filtered on
+var EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson',
+    json: 'application/json'
+};
+var EXPORT_TIME_FIELDS = {
+    pageViews: 'timestamp',
+    events: 'timestamp',
+    users: 'registeredAt',
+    sessions: 'startTime'
+};
+var EXPORT_CHUNK_SIZE = 500;
+
+// Cohort periods, and the most cohorts one report may have
+var COHORT_PERIODS = ['day', 'week', 'month'];
+var MAX_COHORTS = 60;
+
+// Property aggregation: metrics besides percentiles (p50, p95, ...), and limits
+var AGGREGATE_METRICS = ['count', 'sum', 'avg', 'min', 'max', 'countDistinct'];
+var MAX_AGGREGATE_GROUP_BY = 3;
+var MAX_AGGREGATE_GROUPS = 1000;
+
+// Revenue metrics: the event that records a sale and the properties holding its amount and currency
+var REVENUE_EVENT = process.env.REVENUE_EVENT || 'purchase';
+var REVENUE_AMOUNT_PROPERTY = process.env.REVENUE_AMOUNT_PROPERTY || 'amount';
+var REVENUE_CURRENCY_PROPERTY = process.env.REVENUE_CURRENCY_PROPERTY || 'currency';
+
+// Path analysis limits, and how many steps per depth are named (the rest are "(other)")
+var MAX_PATH_DEPTH = 6;
+var MAX_PATH_RESULTS = 100;
+var PATH_NODES_PER_STEP = 6;
+var PATH_OTHER_LABEL = '(other)';
+
+// Experiments: exposures are events of this name with experimentId and variant properties.
+// An experiment with an exposure in the last EXPERIMENT_RUNNING_DAYS is running, and the
+// dashboard compares its variants on EXPERIMENT_GOAL_EVENT.
+var EXPERIMENT_EXPOSURE_EVENT = 'experiment_exposure';
+var EXPERIMENT_RUNNING_DAYS = 7;
+var EXPERIMENT_GOAL_EVENT = process.env.EXPERIMENT_GOAL_EVENT || REVENUE_EVENT;
+var EXPERIMENT_CONFIDENCE = 0.95;
+
+// Dashboard pages: users listed per page, sessions shown on a user's timeline, and the
+// recent occurrences, properties and values per property shown on an event's page
+var USERS_PAGE_SIZE = 25;
+var TIMELINE_SESSION_LIMIT = 20;
+var EVENT_RECENT_LIMIT = 50;
+var EVENT_PROPERTY_LIMIT = 20;
+var EVENT_PROPERTY_VALUES = 10;
+
+// Funnel definition limits
+var MAX_FUNNEL_STEPS = 10;
+var MAX_CONVERSION_WINDOW_HOURS = 24 * 90;
+
+var FUNNEL_SCHEMA = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 128 },
+    steps: { type: 'array', required: true },
+    conversionWindowHours: { type: 'number', min: 0.01, max: MAX_CONVERSION_WINDOW_HOURS }
+};
+
+var FUNNEL_STEP_SCHEMAS = {
+    page: {
+        path: { type: 'string', required: true, minLength: 1, maxLength: 2048 }
+    },
+    event: {
+        eventName: { type: 'string', required: true, minLength: 1, maxLength: 128 },
+        properties: { type: 'object' }
+    }
+};
+
+// Alert rules: the statistics a rule can watch, the earlier window a change is measured
+// against, how often rules are evaluated and how webhooks are retried
+var ALERT_METRICS = {
+    pageViews: 'page views',
+    events: 'events',
+    uniqueUsers: 'unique users',
+    sessions: 'sessions',
+    bounceRate: 'bounce rate',
+    averageSessionDuration: 'average session duration'
+};
+var ALERT_METRIC_FIELDS = {
+    pageViews: 'totalPageViews',
+    events: 'totalEvents',
+    uniqueUsers: 'uniqueUsers',
+    sessions: 'totalSessions',
+    bounceRate: 'bounceRate',
+    averageSessionDuration: 'averageSessionDuration'
+};
+var ALERT_COMPARISONS = {
+    previousWindow: 'the window before',
+    previousDay: 'the same time yesterday',
+    previousWeek: 'the same time last week'
+};
+var ALERT_COMPARISON_OFFSETS = {
+    previousDay: 24 * 60 * 60 * 1000,
+    previousWeek: 7 * 24 * 60 * 60 * 1000
+};
+var ALERT_INTERVAL_SECONDS = parseInt(process.env.ALERT_INTERVAL_SECONDS, 10) || 60;
+var ALERT_WEBHOOK_RETRIES = 3;
+var ALERT_RETRY_DELAY_SECONDS = parseInt(process.env.ALERT_RETRY_DELAY_SECONDS, 10) || 10;
+var ALERT_WEBHOOK_TIMEOUT_SECONDS = 10;
+var ALERT_HISTORY_LIMIT = 1000;
+
+var ALERT_RULE_SCHEMA = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 128 },
+    metric: { type: 'string', required: true, enum: Object.keys(ALERT_METRICS) },
+    eventName: { type: 'string', minLength: 1, maxLength: 128 },
+    operator: { type: 'string', required: true, enum: ['<', '<=', '>', '>='] },
+    threshold: { type: 'number', required: true },
+    windowMinutes: { type: 'integer', min: 1, max: 7 * 24 * 60 },
+    compareTo: { type: 'string', enum: Object.keys(ALERT_COMPARISONS) },
+    webhookUrl: { type: 'string', required: true, maxLength: 2048, pattern: /^https?:\/\/[^\/\s]+/ },
+    cooldownMinutes: { type: 'number', min: 0, max: 7 * 24 * 60 },
+    enabled: { type: 'boolean' }
+};
+
+// Key types: write keys may only track, read keys may only query, admin keys may do anything
+var API_KEY_TYPES = ['write', 'read', 'admin'];
+var API_KEY_PREFIXES = { write: 'wk_', read: 'rk_', admin: 'ak_' };
+
+var API_KEY_SCHEMA = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 128 },
+    type: { type: 'string', required: true, enum: API_KEY_TYPES },
+    projectId: { type: 'string' },
+    allowedOrigins: { type: 'array' }
+};
+
+// Rule types allowed in registered event property schemas
+var PROPERTY_RULE_TYPES = ['string', 'number', 'integer', 'boolean', 'timestamp', 'object', 'array'];
+
 // In-memory data store
-var analyticsData = {
-    pageViews: [],
-    events: [],
-    users: [],
-    sessions: []
+var analyticsData = createEmptyStore();
+
+// Storage state
+var logSequence = 0;
+var entriesSinceSnapshot = 0;
+var pendingLogLines = [];
+var storageTasks = [];
+var storageBusy = false;
+
+// Dashboard sessions by token, each with the ID of the API key it was opened with;
+// kept in memory only, so a restart signs every dashboard out
+var dashboardSessions = Object.create(null);
+
+// Live stream state. Message ids are prefixed with the start time of this process,
+// so a client reconnecting after a restart is told its buffer position is gone.
+var STREAM_EPOCH = Date.now().toString(36);
+var streamSequence = 0;
+var streamBuffer = [];
+var streamClients = [];
+
+// Contents and ETag of the browser tracker, read on first request
+var trackerScript = null;
+
+// Indexes of INDEXED_COLLECTIONS, built once the store is loaded and kept current by applyChange
+var recordIndexes = null;
+
+// Collections holding tracked data, as opposed to configuration such as API keys
+var TRACKED_COLLECTIONS = ['pageViews', 'events', 'users', 'sessions', 'rollups', 'identities'];
+
+// Collections whose records belong to a single project
+var PROJECT_COLLECTIONS = TRACKED_COLLECTIONS.concat(['eventSchemas', 'funnels', 'segments', 'alertRules', 'alertHistory']);
+
+// Collections kept in time-partitioned indexes: the field records are ordered by, the
+// fields they can be looked up by, and the fields counted per day ("person" counts the
+// person key of each record, see getPersonKey)
+var INDEXED_COLLECTIONS = {
+    pageViews: {
+        timeField: 'timestamp',
+        keyFields: ['userId', 'anonymousId', 'sessionId', 'page'],
+        countFields: ['page', 'person', 'referrerType', 'referrerDomain', 'utmCampaign', 'browser', 'os', 'device']
+    },
+    events: {
+        timeField: 'timestamp',
+        keyFields: ['userId', 'anonymousId', 'sessionId', 'eventName'],
+        countFields: ['eventName', 'person']
+    },
+    sessions: {
+        timeField: 'startTime',
+        keyFields: ['userId', 'anonymousId'],
+        countFields: []
+    }
 };
 
 /**
- * Initialize the data store
+ * Create an empty data store
+ */
+function createEmptyStore() {
+    return {
+        pageViews: [],
+        events: [],
+        users: [],
+        sessions: [],
+        eventSchemas: [],
+        apiKeys: [],
+        projects: [],
+        funnels: [],
+        segments: [],
+        auditLog: [],
+        rollups: [],
+        identities: [],
+        alertRules: [],
+        alertHistory: []
+    };
+}
+
+/**
+ * Get the records of a collection that belong to a project
+ */
+function getProjectRecords(collection, projectId) {
+    return analyticsData[collection].filter(function(record) {
+        return record.projectId === projectId;
+    });
+}
+
+/**
+ * Get the tracked data collections of a project, optionally limited to a segment filter
+ */
+function getTrackedData(projectId, filter) {
+    var data = {};
+    
+    TRACKED_COLLECTIONS.forEach(function(collection) {
+        data[collection] = getProjectRecords(collection, projectId);
+    });
+    
+    if (filter) {
+        data.pageViews = data.pageViews.filter(filter);
+        data.events = data.events.filter(filter);
+        data.sessions = filterSessionsByRecords(data.sessions, data.pageViews.concat(data.events));
+        data.users = filterUsersBySegment(data.users, data.pageViews.concat(data.events), filter, createPersonResolver(projectId));
+        data.identities = data.identities.filter(function(identity) {
+            return data.users.some(function(user) {
+                return user.userId === identity.userId;
+            });
+        });
+        
+        // Daily aggregates have none of the fields a filter looks at
+        data.rollups = [];
+    }
+    
+    return data;
+}
+
+/**
+ * Check whether a record has all the field values of a match object
+ */
+function matchesRecord(record, match) {
+    for (var field in match) {
+        if (record[field] !== match[field]) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Get the UTC day a time falls on, as a number of days since the epoch
+ */
+function getDayNumber(time) {
+    return Math.floor(time / SERIES_INTERVALS.day);
+}
+
+/**
+ * Find where a value belongs in an ascending array: before the first equal value,
+ * or with after set, behind the last one
+ */
+function bisect(values, value, after) {
+    var low = 0;
+    var high = values.length;
+    
+    while (low < high) {
+        var middle = (low + high) >>> 1;
+        if (values[middle] < value || (after && values[middle] === value)) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    
+    return low;
+}
+
+/**
+ * Check whether a field value is worth a key index entry
+ * Every anonymous record shares the userId "anonymous", so it is never looked up by it.
+ */
+function isIndexedValue(field, value) {
+    return value !== undefined && value !== null && value !== '' && !(field === 'userId' && value === 'anonymous');
+}
+
+/**
+ * Get the index of a project's records in a collection, creating it on first use
+ * Lookup objects have no prototype, so values such as "constructor" are safe keys.
+ */
+function getProjectIndex(collection, projectId) {
+    var projects = recordIndexes[collection].projects;
+    
+    if (!projects[projectId]) {
+        projects[projectId] = { days: Object.create(null), dayNumbers: [], keys: {} };
+        INDEXED_COLLECTIONS[collection].keyFields.forEach(function(field) {
+            projects[projectId].keys[field] = Object.create(null);
+        });
+    }
+    
+    return projects[projectId];
+}
+
+/**
+ * Add a record to the indexes of its collection
+ * The record sits at position in the collection array. Unless sorted is false, it is
+ * placed in time order right away; otherwise sortPartitions must run afterwards.
+ */
+function indexRecord(collection, record, position, sorted) {
+    var definition = INDEXED_COLLECTIONS[collection];
+    var projectIndex = getProjectIndex(collection, record.projectId);
+    var time = Date.parse(record[definition.timeField]);
+    var entry = { record: record, position: position, time: time, keys: {}, counted: getCountedValues(collection, record) };
+    
+    definition.keyFields.forEach(function(field) {
+        var value = record[field];
+        var lookup = projectIndex.keys[field];
+        
+        entry.keys[field] = value;
+        if (isIndexedValue(field, value)) {
+            (lookup[value] = lookup[value] || []).push(record);
+        }
+    });
+    
+    // Records without a readable time are found by key only
+    if (!isNaN(time)) {
+        var day = getDayNumber(time);
+        var partition = projectIndex.days[day];
+        
+        if (!partition) {
+            partition = projectIndex.days[day] = { times: [], records: [], count: 0, counts: createCounts(collection) };
+            projectIndex.dayNumbers.splice(bisect(projectIndex.dayNumbers, day), 0, day);
+        }
+        
+        var at = sorted === false ? partition.times.length : bisect(partition.times, time, true);
+        partition.times.splice(at, 0, time);
+        partition.records.splice(at, 0, record);
+        partition.count++;
+        addCountedValues(partition.counts, entry.counted, 1);
+    }
+    
+    recordIndexes[collection].entries[record.projectId + '\n' + record.id] = entry;
+}
+
+/**
+ * Remove an indexed record from the indexes of its collection
+ * The entry holds the time and key values the record was indexed under, which still
+ * apply when the record has since been changed in place.
+ */
+function unindexRecord(collection, entry) {
+    var definition = INDEXED_COLLECTIONS[collection];
+    var record = entry.record;
+    var projectIndex = getProjectIndex(collection, record.projectId);
+    
+    definition.keyFields.forEach(function(field) {
+        var value = entry.keys[field];
+        var records = isIndexedValue(field, value) ? projectIndex.keys[field][value] : null;
+        
+        if (records) {
+            records.splice(records.indexOf(record), 1);
+            if (records.length === 0) {
+                delete projectIndex.keys[field][value];
+            }
+        }
+    });
+    
+    if (!isNaN(entry.time)) {
+        var day = getDayNumber(entry.time);
+        var partition = projectIndex.days[day];
+        var at = bisect(partition.times, entry.time);
+        
+        while (at < partition.records.length - 1 && partition.records[at] !== record) {
+            at++;
+        }
+        partition.times.splice(at, 1);
+        partition.records.splice(at, 1);
+        partition.count--;
+        addCountedValues(partition.counts, entry.counted, -1);
+        
+        if (partition.count === 0) {
+            delete projectIndex.days[day];
+            projectIndex.dayNumbers.splice(bisect(projectIndex.dayNumbers, day), 1);
+        }
+    }
+    
+    delete recordIndexes[collection].entries[record.projectId + '\n' + record.id];
+}
+
+/**
+ * Put the records of every partition of a collection in time order
+ * Records with the same time keep their order in the collection.
+ */
+function sortPartitions(collection) {
+    var entries = recordIndexes[collection].entries;
+    var projects = recordIndexes[collection].projects;
+    
+    for (var projectId in projects) {
+        for (var day in projects[projectId].days) {
+            var partition = projects[projectId].days[day];
+            var order = partition.records.map(function(record, index) {
+                return index;
+            });
+            
+            order.sort(function(a, b) {
+                return partition.times[a] - partition.times[b] ||
+                    entries[projectId + '\n' + partition.records[a].id].position - entries[projectId + '\n' + partition.records[b].id].position;
+            });
+            
+            partition.times = order.map(function(index) {
+                return partition.times[index];
+            });
+            partition.records = order.map(function(index) {
+                return partition.records[index];
+            });
+        }
+    }
+}
+
+/**
+ * Rebuild the indexes of a collection from scratch
+ * Used after changes that remove or rewrite records across the whole collection.
+ */
+function indexCollection(collection) {
+    recordIndexes[collection] = { entries: Object.create(null), projects: Object.create(null) };
+    
+    analyticsData[collection].forEach(function(record, position) {
+        indexRecord(collection, record, position, false);
+    });
+    sortPartitions(collection);
+}
+
+/**
+ * Build the indexes of every indexed collection
+ */
+function buildIndexes() {
+    recordIndexes = {};
+    
+    for (var collection in INDEXED_COLLECTIONS) {
+        indexCollection(collection);
+    }
+}
+
+/**
+ * Check whether a record no longer has the time or key values it was indexed under
+ */
+function hasIndexedFieldsChanged(collection, entry, record) {
+    var definition = INDEXED_COLLECTIONS[collection];
+    var time = Date.parse(record[definition.timeField]);
+    
+    if (time !== entry.time && !(isNaN(time) && isNaN(entry.time))) {
+        return true;
+    }
+    
+    var counted = getCountedValues(collection, record);
+    
+    return definition.keyFields.some(function(field) {
+        return record[field] !== entry.keys[field];
+    }) || definition.countFields.some(function(field) {
+        return counted[field] !== entry.counted[field];
+    });
+}
+
+/**
+ * Insert or replace the record of an indexed collection with a project and ID, through
+ * the index instead of a scan
+ */
+function upsertIndexedRecord(collection, match, record) {
+    var records = analyticsData[collection];
+    var entry = recordIndexes[collection].entries[match.projectId + '\n' + match.id];
+    
+    if (!entry) {
+        records.push(record);
+        indexRecord(collection, record, records.length - 1);
+        return;
+    }
+    
+    records[entry.position] = record;
+    
+    // Sessions are updated in place, and most updates leave the indexed fields alone
+    if (entry.record !== record || hasIndexedFieldsChanged(collection, entry, record)) {
+        unindexRecord(collection, entry);
+        indexRecord(collection, record, entry.position);
+    }
+}
+
+/**
+ * Visit the partitions of a project's records that overlap a time range, with the
+ * positions of the records within the range
+ */
+function forEachPartition(collection, projectId, range, callback) {
+    var projectIndex = recordIndexes[collection].projects[projectId];
+    
+    if (!projectIndex) {
+        return;
+    }
+    
+    var dayNumbers = projectIndex.dayNumbers;
+    for (var i = bisect(dayNumbers, getDayNumber(range.from)); i < dayNumbers.length && dayNumbers[i] * SERIES_INTERVALS.day < range.to; i++) {
+        var partition = projectIndex.days[dayNumbers[i]];
+        var start = bisect(partition.times, range.from);
+        var end = bisect(partition.times, range.to);
+        
+        if (start < end) {
+            callback(partition, start, end);
+        }
+    }
+}
+
+/**
+ * Get the records of a collection that belong to a project and lie within a time range
+ * ({ from, to } in milliseconds, to excluded), in time order
+ */
+function getRangeRecords(collection, projectId, range) {
+    var slices = [];
+    
+    forEachPartition(collection, projectId, range, function(partition, start, end) {
+        slices.push(partition.records.slice(start, end));
+    });
+    
+    return Array.prototype.concat.apply([], slices);
+}
+
+/**
+ * Get the values of a record that its collection counts per day, leaving out empty ones
+ */
+function getCountedValues(collection, record) {
+    var values = {};
+    
+    INDEXED_COLLECTIONS[collection].countFields.forEach(function(field) {
+        var value;
+        
+        if (field === 'person') {
+            value = getPersonKey(record);
+        } else if (field === 'referrerDomain') {
+            value = record.referrerType !== 'internal' ? getReferrerDomain(record.referrer) : null;
+        } else {
+            value = record[field];
+        }
+        
+        if (value !== null && value !== undefined && value !== '') {
+            values[field] = value;
+        }
+    });
+    
+    return values;
+}
+
+/**
+ * Create empty counts for each counted field of a collection
+ * The count maps have no prototype, so values such as "constructor" are safe keys.
+ */
+function createCounts(collection) {
+    var counts = {};
+    
+    INDEXED_COLLECTIONS[collection].countFields.forEach(function(field) {
+        counts[field] = Object.create(null);
+    });
+    
+    return counts;
+}
+
+/**
+ * Add (or with a negative amount, remove) counted values to counts, dropping counts of 0
+ */
+function addCountedValues(counts, values, amount) {
+    for (var field in values) {
+        var value = values[field];
+        
+        counts[field][value] = (counts[field][value] || 0) + amount;
+        if (counts[field][value] === 0) {
+            delete counts[field][value];
+        }
+    }
+}
+
+/**
+ * Add the counts of one map to another
+ */
+function addCounts(counts, added) {
+    for (var value in added) {
+        counts[value] = (counts[value] || 0) + added[value];
+    }
+}
+
+/**
+ * Count records of a collection in total and by each counted field
+ */
+function countRecords(collection, records) {
+    var result = { total: records.length, counts: createCounts(collection) };
+    
+    records.forEach(function(record) {
+        addCountedValues(result.counts, getCountedValues(collection, record), 1);
+    });
+    
+    return result;
+}
+
+/**
+ * Count the records of a collection that belong to a project and lie within a time range,
+ * in total and by each counted field, in the form of countRecords
+ * Whole days are read from their counters, so no records are visited for them.
+ */
+function countRangeRecords(collection, projectId, range) {
+    var result = { total: 0, counts: createCounts(collection) };
+    
+    forEachPartition(collection, projectId, range, function(partition, start, end) {
+        if (start === 0 && end === partition.records.length) {
+            result.total += partition.count;
+            for (var field in partition.counts) {
+                addCounts(result.counts[field], partition.counts[field]);
+            }
+            return;
+        }
+        
+        for (var i = start; i < end; i++) {
+            result.total++;
+            addCountedValues(result.counts, getCountedValues(collection, partition.records[i]), 1);
+        }
+    });
+    
+    return result;
+}
+
+/**
+ * Get the records of a collection that belong to a project and have a value in one
+ * of the collection's key fields, in the order they were stored
+ */
+function getKeyedRecords(collection, projectId, field, value) {
+    var projectIndex = recordIndexes[collection].projects[projectId];
+    var records = projectIndex && isIndexedValue(field, value) ? projectIndex.keys[field][value] : null;
+    
+    return records ? records.slice() : [];
+}
+
+/**
+ * Apply a change entry to the in-memory store, and to the indexes once they are built
+ */
+function applyChange(entry) {
+    var collection = analyticsData[entry.collection];
+    var indexed = recordIndexes && INDEXED_COLLECTIONS[entry.collection];
+    
+    if (entry.op === 'insert') {
+        collection.push(entry.record);
+        if (indexed) {
+            indexRecord(entry.collection, entry.record, collection.length - 1);
+        }
+        return;
+    }
+    
+    if (entry.op === 'upsert' && indexed && Object.keys(entry.match).join() === 'projectId,id') {
+        upsertIndexedRecord(entry.collection, entry.match, entry.record);
+        return;
+    }
+    
+    if (entry.op === 'upsert') {
+        for (var i = 0; i < collection.length; i++) {
+            if (matchesRecord(collection[i], entry.match)) {
+                collection[i] = entry.record;
+                break;
+            }
+        }
+        if (i === collection.length) {
+            collection.push(entry.record);
+        }
+    } else if (entry.op === 'update') {
+        collection.forEach(function(record, index) {
+            if (matchesRecord(record, entry.match)) {
+                var updated = {};
+                
+                for (var field in record) {
+                    updated[field] = record[field];
+                }
+                for (var setField in entry.set) {
+                    updated[setField] = entry.set[setField];
+                }
+                collection[index] = updated;
+            }
+        });
+    } else if (entry.op === 'expire') {
+        analyticsData[entry.collection] = collection.filter(function(record) {
+            return !(record[entry.field] < entry.before);
+        });
+    } else if (entry.op === 'remove') {
+        analyticsData[entry.collection] = collection.filter(function(record) {
+            return !matchesRecord(record, entry.match);
+        });
+    } else if (entry.op === 'clear') {
+        // Entries logged before projects existed clear every project
+        TRACKED_COLLECTIONS.forEach(function(name) {
+            analyticsData[name] = analyticsData[name].filter(function(record) {
+                return entry.projectId !== undefined && record.projectId !== entry.projectId;
+            });
+        });
+    }
+    
+    // Other changes touch records all over the collection, so its index is rebuilt
+    if (recordIndexes) {
+        for (var name in INDEXED_COLLECTIONS) {
+            if (name === entry.collection || entry.op === 'clear') {
+                indexCollection(name);
+            }
+        }
+    }
+}
+
+/**
+ * Run file operations one at a time, in the order they were requested
+ */
+function enqueueStorageTask(task) {
+    storageTasks.push(task);
+    
+    if (!storageBusy) {
+        runNextStorageTask();
+    }
+}
+
+/**
+ * Start the next queued file operation
+ */
+function runNextStorageTask() {
+    var task = storageTasks.shift();
+    
+    if (!task) {
+        storageBusy = false;
+        return;
+    }
+    
+    storageBusy = true;
+    task(runNextStorageTask);
+}
+
+/**
+ * Apply a change and append it to the log
+ * Changes made during the same tick are written together in one append.
+ */
+function commitChange(entry) {
+    entry.seq = ++logSequence;
+    applyChange(entry);
+    
+    pendingLogLines.push(JSON.stringify(entry));
+    if (pendingLogLines.length === 1) {
+        setImmediate(flushLog);
+    }
+}
+
+/**
+ * Append pending change entries to the log file
+ */
+function flushLog() {
+    if (pendingLogLines.length === 0) {
+        return;
+    }
+    
+    var content = pendingLogLines.join('\n') + '\n';
+    entriesSinceSnapshot += pendingLogLines.length;
+    pendingLogLines = [];
+    
+    enqueueStorageTask(function(done) {
+        fs.appendFile(LOG_FILE, content, function(error) {
+            if (error) {
+                console.log('Error appending to log:', error.message);
+            }
+            done();
+        });
+    });
+    
+    if (entriesSinceSnapshot >= SNAPSHOT_EVERY_ENTRIES) {
+        writeSnapshot();
+    }
+}
+
+/**
+ * Write a file atomically: write a temp file, flush it to disk, then rename it into place
+ */
+function writeFileAtomic(path, content, callback) {
+    var tempPath = path + '.' + process.pid + '.tmp';
+    
+    fs.writeFile(tempPath, content, function(error) {
+        if (error) {
+            callback(error);
+            return;
+        }
+        
+        fs.open(tempPath, 'r+', function(error, fd) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            
+            fs.fsync(fd, function(syncError) {
+                fs.close(fd, function() {
+                    if (syncError) {
+                        callback(syncError);
+                        return;
+                    }
+                    fs.rename(tempPath, path, callback);
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Compact the log into a new snapshot of the whole store
+ * Log entries with a sequence number covered by the snapshot are skipped on replay,
+ * so a crash between writing the snapshot and truncating the log loses nothing.
+ */
+function writeSnapshot(callback) {
+    var sequence = logSequence;
+    var content = JSON.stringify({ seq: sequence, data: analyticsData });
+    entriesSinceSnapshot = 0;
+    
+    enqueueStorageTask(function(done) {
+        writeFileAtomic(DATA_FILE, content, function(error) {
+            if (error) {
+                console.log('Error writing snapshot:', error.message);
+                done();
+                if (callback) {
+                    callback(error);
+                }
+                return;
+            }
+            
+            fs.writeFile(LOG_FILE, '', function(error) {
+                if (error) {
+                    console.log('Error truncating log:', error.message);
+                }
+                console.log('Snapshot written at sequence ' + sequence);
+                done();
+                if (callback) {
+                    callback(null);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Stop before anything is written when the files on disk cannot be read in full
+ * Starting anyway would compact a partial store over them and lose the rest for good.
+ */
+function refuseToStart(message) {
+    console.error(message);
+    console.error('The data files were left untouched. Repair or move them aside, then start again.');
+    process.exit(1);
+}
+
+/**
+ * Initialize the data store: load the latest snapshot, then replay the log on top of it
+ */
+function initializeDataStore() {
+    var snapshotSequence = 0;
+    
+    if (fs.existsSync(DATA_FILE)) {
+        var snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        } catch (error) {
+            refuseToStart('Cannot read snapshot file ' + DATA_FILE + ': ' + error.message);
+        }
+        
+        // Files written before the log existed hold the bare store
+        if (snapshot && snapshot.data && typeof snapshot.seq === 'number') {
+            analyticsData = snapshot.data;
+            snapshotSequence = snapshot.seq;
+        } else if (snapshot && typeof snapshot === 'object' && !Array.isArray(snapshot)) {
+            analyticsData = snapshot;
+        } else {
+            refuseToStart('Snapshot file ' + DATA_FILE + ' does not hold a data store');
+        }
+        console.log('Snapshot loaded from file successfully');
+    } else {
+        console.log('No existing snapshot found, starting fresh');
+    }
+    
+    var emptyStore = createEmptyStore();
+    for (var collection in emptyStore) {
+        analyticsData[collection] = analyticsData[collection] || emptyStore[collection];
+    }
+    
+    logSequence = snapshotSequence;
+    
+    if (fs.existsSync(LOG_FILE)) {
+        replayLog(snapshotSequence);
+    }
+    
+    migrateToProjects();
+    enrichStoredPageViews();
+    buildIndexes();
+    
+    // Start from a clean log so new appends never follow a torn line
+    writeSnapshot();
+}
+
+/**
+ * Assign records stored before projects existed to the default project
+ * Keys from that time stay valid for every project.
+ */
+function migrateToProjects() {
+    PROJECT_COLLECTIONS.forEach(function(collection) {
+        analyticsData[collection].forEach(function(record) {
+            if (record.projectId === undefined) {
+                record.projectId = DEFAULT_PROJECT_ID;
+            }
+        });
+    });
+    
+    analyticsData.apiKeys.forEach(function(apiKey) {
+        if (apiKey.projectId === undefined) {
+            apiKey.projectId = null;
+        }
+    });
+}
+
+/**
+ * Enrich page views stored before enrichment existed, and flag their bot sessions
+ */
+function enrichStoredPageViews() {
+    var botSessions = Object.create(null);
+    
+    analyticsData.pageViews.forEach(function(pageView) {
+        if (pageView.browser === undefined) {
+            var enrichment = enrichPageView(pageView);
+            for (var field in enrichment) {
+                pageView[field] = enrichment[field];
+            }
+        }
+        if (pageView.isBot) {
+            botSessions[pageView.sessionId] = true;
+        }
+    });
+    
+    analyticsData.sessions.forEach(function(session) {
+        if (session.isBot === undefined) {
+            session.isBot = !!botSessions[session.id];
+        }
+    });
+}
+
+/**
+ * Replay the log entries that are newer than the snapshot
+ */
+function replayLog(snapshotSequence) {
+    var replayed = 0;
+    var lines = fs.readFileSync(LOG_FILE, 'utf8').split('\n');
+    
+    lines.forEach(function(line, index) {
+        if (!line) {
+            return;
+        }
+        
+        var entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            // Only the last line can be torn by a crash mid-append, anything else is damage
+            if (lines.slice(index + 1).join('') !== '') {
+                refuseToStart('Cannot read line ' + (index + 1) + ' of log file ' + LOG_FILE + ': ' + error.message);
+            }
+            console.log('Skipping torn last log line ' + (index + 1));
+            return;
+        }
+        
+        if (entry.seq <= snapshotSequence) {
+            return;
+        }
+        
+        applyChange(entry);
+        logSequence = entry.seq;
+        replayed++;
+    });
+    
+    console.log('Replayed ' + replayed + ' log entries');
+}
+
+/**
+ * Find the daily rollup of a project, or start a new one
+ */
+function findRollup(projectId, date) {
+    for (var i = 0; i < analyticsData.rollups.length; i++) {
+        if (analyticsData.rollups[i].projectId === projectId && analyticsData.rollups[i].date === date) {
+            return analyticsData.rollups[i];
+        }
+    }
+    
+    return {
+        projectId: projectId,
+        date: date,
+        pageViews: 0,
+        pages: Object.create(null),
+        uniqueUsers: 0,
+        people: [],
+        events: 0,
+        eventNames: Object.create(null),
+        sessions: 0,
+        bounces: 0,
+        sessionDuration: 0
+    };
+}
+
+/**
+ * Get the key a person is kept under in daily rollups
+ * Rollups outlive the raw data, so they hold a hash of the person instead of their ID.
+ */
+function getRollupPersonKey(projectId, person) {
+    return crypto.createHash('sha256').update(projectId + '\n' + person).digest('hex').substr(0, 16);
+}
+
+/**
+ * Count the people of raw activity and daily rollups, each person once however many days they were active
+ */
+function countUniqueUsers(people, rollups) {
+    if (rollups.length === 0) {
+        return people.length;
+    }
+    
+    var keys = Object.create(null);
+    
+    people.forEach(function(person) {
+        keys[getRollupPersonKey(rollups[0].projectId, person)] = true;
+    });
+    rollups.forEach(function(rollup) {
+        rollup.people.forEach(function(key) {
+            keys[key] = true;
+        });
+    });
+    
+    return Object.keys(keys).length;
+}
+
+/**
+ * Copy page or event counts into a map without a prototype, so any name can be counted
+ */
+function copyCounts(counts) {
+    var copy = Object.create(null);
+    
+    for (var key in counts) {
+        copy[key] = counts[key];
+    }
+    
+    return copy;
+}
+
+/**
+ * Add an expired raw record to a daily rollup
+ */
+function addToRollup(rollup, collection, record, dayUsers, personOf) {
+    if (collection === 'pageViews') {
+        rollup.pageViews++;
+        rollup.pages[record.page] = (rollup.pages[record.page] || 0) + 1;
+        dayUsers[getRollupPersonKey(record.projectId, personOf(record))] = true;
+    } else if (collection === 'events') {
+        rollup.events++;
+        rollup.eventNames[record.eventName] = (rollup.eventNames[record.eventName] || 0) + 1;
+    } else {
+        rollup.sessions++;
+        rollup.sessionDuration += record.duration;
+        rollup.bounces += record.bounce ? 1 : 0;
+    }
+}
+
+/**
+ * Roll raw page views, events and sessions older than their retention up into daily
+ * aggregates, then remove them
+ * Only whole UTC days expire, so every day is rolled up in one go.
+ */
+function applyRetention() {
+    var dayMs = SERIES_INTERVALS.day;
+    
+    for (var collection in RETENTION_TIME_FIELDS) {
+        if (!RETENTION_DAYS[collection]) {
+            continue;
+        }
+        
+        var field = RETENTION_TIME_FIELDS[collection];
+        var cutoff = new Date(Math.floor((Date.now() - RETENTION_DAYS[collection] * dayMs) / dayMs) * dayMs).toISOString();
+        var rollups = Object.create(null);
+        var dayUsers = Object.create(null);
+        var resolvers = Object.create(null);
+        var expired = 0;
+        
+        analyticsData[collection].forEach(function(record) {
+            if (!(record[field] < cutoff)) {
+                return;
+            }
+            
+            var key = record.projectId + '\n' + record[field].substr(0, 10);
+            if (!rollups[key]) {
+                rollups[key] = JSON.parse(JSON.stringify(findRollup(record.projectId, record[field].substr(0, 10))));
+                rollups[key].pages = copyCounts(rollups[key].pages);
+                rollups[key].eventNames = copyCounts(rollups[key].eventNames);
+                dayUsers[key] = Object.create(null);
+                
+                // Rolling a day up again, e.g. after a late import, adds to the people it already has
+                rollups[key].people.forEach(function(personKey) {
+                    dayUsers[key][personKey] = true;
+                });
+            }
+            
+            resolvers[record.projectId] = resolvers[record.projectId] || createPersonResolver(record.projectId);
+            addToRollup(rollups[key], collection, record, dayUsers[key], resolvers[record.projectId]);
+            expired++;
+        });
+        
+        if (expired === 0) {
+            continue;
+        }
+        
+        for (var key in rollups) {
+            rollups[key].people = Object.keys(dayUsers[key]).sort();
+            rollups[key].uniqueUsers = rollups[key].people.length;
+            commitChange({
+                op: 'upsert',
+                collection: 'rollups',
+                match: { projectId: rollups[key].projectId, date: rollups[key].date },
+                record: rollups[key]
+            });
+        }
+        
+        commitChange({ op: 'expire', collection: collection, field: field, before: cutoff });
+        console.log('Rolled up ' + expired + ' ' + collection + ' older than ' + cutoff + ' into daily aggregates');
+    }
+}
+
+/**
+ * Generate unique ID
+ */
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * Find a session of a project by ID
+ */
+function findSession(projectId, sessionId) {
+    var entry = recordIndexes.sessions.entries[projectId + '\n' + sessionId];
+    return entry ? entry.record : null;
+}
+
+/**
+ * Find the most recently active session of a project matching a userId or an anonymousId,
+ * e.g. { userId: 'user_001' }
+ */
+function findLatestSession(projectId, match) {
+    var field = Object.keys(match)[0];
+    var latest = null;
+    
+    getKeyedRecords('sessions', projectId, field, match[field]).forEach(function(session) {
+        if (matchesRecord(session, match) && (!latest || session.endTime > latest.endTime)) {
+            latest = session;
+        }
+    });
+    
+    return latest;
+}
+
+/**
+ * Check whether a session is still open at the given time
+ */
+function isSessionActive(session, timestamp) {
+    var idleTime = new Date(timestamp).getTime() - new Date(session.endTime).getTime();
+    return idleTime <= SESSION_TIMEOUT_MINUTES * 60 * 1000;
+}
+
+/**
+ * Get the session a new page view or event belongs to, starting one if needed
+ */
+function resolveSession(projectId, data, userId, timestamp) {
+    var session = null;
+    
+    if (data.sessionId) {
+        session = findSession(projectId, data.sessionId);
+    } else {
+        if (userId !== 'anonymous') {
+            session = findLatestSession(projectId, { userId: userId });
+        }
+        
+        // A visitor who just signed in continues the session they started anonymously
+        if (!session && data.anonymousId) {
+            session = findLatestSession(projectId, { anonymousId: data.anonymousId });
+            if (session && session.userId !== 'anonymous' && session.userId !== userId) {
+                session = null;
+            }
+        }
+    }
+    
+    if (session && isSessionActive(session, timestamp)) {
+        return session;
+    }
+    
+    // An expired session ID is not reused, the visit continues under a new one
+    session = {
+        id: data.sessionId && !session ? data.sessionId : generateId(),
+        projectId: projectId,
+        userId: userId,
+        anonymousId: data.anonymousId || null,
+        startTime: timestamp,
+        endTime: timestamp,
+        duration: 0,
+        entryPage: null,
+        exitPage: null,
+        pageCount: 0,
+        eventCount: 0,
+        bounce: true,
+        isBot: false,
+        referrer: data.referrer || ''
+    };
+    
+    return session;
+}
+
+/**
+ * Update a session with a page view (page given) or an event (page omitted)
+ */
+function touchSession(session, userId, timestamp, page) {
+    if (page) {
+        if (!session.entryPage || timestamp < session.startTime) {
+            session.entryPage = page;
+        }
+        if (!session.exitPage || timestamp >= session.endTime) {
+            session.exitPage = page;
+        }
+        session.pageCount++;
+    } else {
+        session.eventCount++;
+    }
+    
+    if (timestamp < session.startTime) {
+        session.startTime = timestamp;
+    }
+    if (timestamp > session.endTime) {
+        session.endTime = timestamp;
+    }
+    
+    if (session.userId === 'anonymous' && userId !== 'anonymous') {
+        session.userId = userId;
+    }
+    
+    session.duration = Math.round((new Date(session.endTime) - new Date(session.startTime)) / 1000);
+    session.bounce = session.pageCount <= 1 && session.eventCount === 0;
+}
+
+/**
+ * Get the sessions of a project, optionally limited to a user and a trailing number of hours
+ */
+function getSessions(projectId, options) {
+    var startTime = options.hours ? new Date(Date.now() - options.hours * 60 * 60 * 1000).toISOString() : null;
+    
+    return getProjectRecords('sessions', projectId).filter(function(session) {
+        if (options.userId && session.userId !== options.userId) {
+            return false;
+        }
+        return !startTime || session.startTime >= startTime;
+    }).sort(function(a, b) {
+        return new Date(b.startTime) - new Date(a.startTime);
+    });
+}
+
+/**
+ * Check whether a string is an ISO 8601 date-time
+ */
+function isIsoTimestamp(value) {
+    return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Check the size and nesting of free-form properties, returning an error message or null
+ */
+function checkPropertiesLimits(value) {
+    var keyCount = 0;
+    
+    function depthOf(node, depth) {
+        if (!node || typeof node !== 'object') {
+            return depth - 1;
+        }
+        
+        var deepest = depth;
+        for (var key in node) {
+            keyCount++;
+            deepest = Math.max(deepest, depthOf(node[key], depth + 1));
+        }
+        return deepest;
+    }
+    
+    if (depthOf(value, 1) > MAX_PROPERTIES_DEPTH) {
+        return 'must not be nested deeper than ' + MAX_PROPERTIES_DEPTH + ' levels';
+    }
+    if (keyCount > MAX_PROPERTIES_KEYS) {
+        return 'must not have more than ' + MAX_PROPERTIES_KEYS + ' keys';
+    }
+    if (JSON.stringify(value).length > MAX_PROPERTIES_BYTES) {
+        return 'must not be larger than ' + MAX_PROPERTIES_BYTES + ' bytes';
+    }
+    
+    return null;
+}
+
+/**
+ * Check a single value against a field rule, returning an error message or null
+ */
+function checkFieldRule(rule, value) {
+    var type = rule.type;
+    
+    if (type === 'string' || type === 'timestamp') {
+        if (typeof value !== 'string') {
+            return 'must be a string';
+        }
+        if (type === 'timestamp' && !isIsoTimestamp(value)) {
+            return 'must be an ISO 8601 timestamp';
+        }
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            return 'must be at least ' + rule.minLength + ' characters';
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return 'must be at most ' + rule.maxLength + ' characters';
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return 'has an invalid format';
+        }
+    } else if (type === 'number' || type === 'integer') {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            return 'must be a number';
+        }
+        if (type === 'integer' && Math.floor(value) !== value) {
+            return 'must be an integer';
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            return 'must be at least ' + rule.min;
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            return 'must be at most ' + rule.max;
+        }
+    } else if (type === 'boolean') {
+        if (typeof value !== 'boolean') {
+            return 'must be a boolean';
+        }
+    } else if (type === 'array') {
+        if (!Array.isArray(value)) {
+            return 'must be an array';
+        }
+    } else if (type === 'object' || type === 'properties') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return 'must be an object';
+        }
+        if (type === 'properties') {
+            return checkPropertiesLimits(value);
+        }
+    }
+    
+    if (rule.enum && rule.enum.indexOf(value) === -1) {
+        return 'must be one of: ' + rule.enum.join(', ');
+    }
+    
+    return null;
+}
+
+/**
+ * Validate an object against a schema, returning a list of field errors
+ * Only own members are read, so a rule for a field such as "constructor" sees it missing.
+ */
+function validateSchema(schema, data, prefix) {
+    var errors = [];
+    
+    for (var field in schema) {
+        var rule = schema[field];
+        var value = Object.prototype.hasOwnProperty.call(data, field) ? data[field] : undefined;
+        var fieldName = (prefix || '') + field;
+        
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push({ field: fieldName, message: 'is required' });
+            }
+            continue;
+        }
+        
+        var message = checkFieldRule(rule, value);
+        if (message) {
+            errors.push({ field: fieldName, message: message });
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Find the registered property schema of an event name in a project
+ */
+function findEventSchema(projectId, eventName) {
+    for (var i = 0; i < analyticsData.eventSchemas.length; i++) {
+        if (analyticsData.eventSchemas[i].eventName === eventName && analyticsData.eventSchemas[i].projectId === projectId) {
+            return analyticsData.eventSchemas[i];
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Validate a tracking payload of the given type (pageview, event, user, identify or exposure) for a project
+ */
+function validatePayload(projectId, type, data) {
+    var errors = validateSchema(SCHEMAS[type], data);
+    
+    if (type === 'event' && errors.length === 0) {
+        var eventSchema = findEventSchema(projectId, data.eventName || 'custom_event');
+        if (eventSchema) {
+            errors = validateSchema(eventSchema.properties, data.properties || {}, 'properties.');
+        }
+    }
+    
+    // Exposures tracked as events need the same experiment fields as the exposure endpoint
+    if (type === 'event' && errors.length === 0 && data.eventName === EXPERIMENT_EXPOSURE_EVENT) {
+        errors = validateSchema({
+            experimentId: SCHEMAS.exposure.experimentId,
+            variant: SCHEMAS.exposure.variant
+        }, data.properties || {}, 'properties.');
+    }
+    
+    return errors;
+}
+
+/**
+ * Validate a payload tracked live, which unlike an imported one may only carry a
+ * timestamp within TIMESTAMP_MAX_AGE_HOURS before and TIMESTAMP_MAX_AHEAD_MINUTES after now
+ */
+function validateTrackedPayload(projectId, type, data) {
+    var errors = validatePayload(projectId, type, data);
+    
+    if (errors.length === 0 && SCHEMAS[type].timestamp && data.timestamp !== undefined && data.timestamp !== null) {
+        var time = Date.parse(data.timestamp);
+        
+        if (time < Date.now() - TIMESTAMP_MAX_AGE_HOURS * 60 * 60 * 1000) {
+            errors.push({ field: 'timestamp', message: 'must be at most ' + TIMESTAMP_MAX_AGE_HOURS + ' hours old, use an import for older data' });
+        } else if (time > Date.now() + TIMESTAMP_MAX_AHEAD_MINUTES * 60 * 1000) {
+            errors.push({ field: 'timestamp', message: 'must be at most ' + TIMESTAMP_MAX_AHEAD_MINUTES + ' minutes in the future' });
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Get the time a page view or event tracked live is recorded at: its own timestamp when
+ * it has one, so calls queued by a client keep the time they were made, else now
+ * A timestamp ahead of the server clock, which validation allows a few minutes of, is taken as now.
+ */
+function getTrackedTimestamp(data) {
+    var now = Date.now();
+    
+    if (data.timestamp === undefined || data.timestamp === null) {
+        return new Date(now).toISOString();
+    }
+    
+    return new Date(Math.min(Date.parse(data.timestamp), now)).toISOString();
+}
+
+/**
+ * Check the rules of an event property schema definition, returning a list of errors
+ */
+function validateEventSchemaDefinition(properties) {
+    var errors = [];
+    
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+        return [{ field: 'properties', message: 'must be an object of property rules' }];
+    }
+    
+    for (var name in properties) {
+        var rule = properties[name];
+        var field = 'properties.' + name;
+        
+        if (!rule || typeof rule !== 'object' || PROPERTY_RULE_TYPES.indexOf(rule.type) === -1) {
+            errors.push({ field: field + '.type', message: 'must be one of: ' + PROPERTY_RULE_TYPES.join(', ') });
+            continue;
+        }
+        
+        ['minLength', 'maxLength', 'min', 'max'].forEach(function(limit) {
+            if (rule[limit] !== undefined && typeof rule[limit] !== 'number') {
+                errors.push({ field: field + '.' + limit, message: 'must be a number' });
+            }
+        });
+        
+        if (rule.required !== undefined && typeof rule.required !== 'boolean') {
+            errors.push({ field: field + '.required', message: 'must be a boolean' });
+        }
+        if (rule.enum !== undefined && !Array.isArray(rule.enum)) {
+            errors.push({ field: field + '.enum', message: 'must be an array' });
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Register or replace the property schema of an event name in a project
+ */
+function registerEventSchema(projectId, eventName, properties) {
+    var rules = Object.create(null);
+    
+    // Keep only the rule keys that are meaningful for JSON payloads
+    for (var name in properties) {
+        rules[name] = {};
+        ['type', 'required', 'minLength', 'maxLength', 'min', 'max', 'enum'].forEach(function(key) {
+            if (properties[name][key] !== undefined) {
+                rules[name][key] = properties[name][key];
+            }
+        });
+    }
+    
+    var schema = {
+        projectId: projectId,
+        eventName: eventName,
+        properties: rules,
+        updatedAt: new Date().toISOString()
+    };
+    
+    commitChange({ op: 'upsert', collection: 'eventSchemas', match: { projectId: projectId, eventName: eventName }, record: schema });
+    return schema;
+}
+
+/**
+ * Remove the property schema of an event name in a project
+ */
+function removeEventSchema(projectId, eventName) {
+    if (!findEventSchema(projectId, eventName)) {
+        return false;
+    }
+    
+    commitChange({ op: 'remove', collection: 'eventSchemas', match: { projectId: projectId, eventName: eventName } });
+    return true;
+}
+
+/**
+ * Find a project by ID
+ */
+function findProject(projectId) {
+    for (var i = 0; i < analyticsData.projects.length; i++) {
+        if (analyticsData.projects[i].id === projectId) {
+            return analyticsData.projects[i];
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Create a project
+ */
+function createProject(data) {
+    var project = {
+        id: data.id || generateId(),
+        name: data.name,
+        createdAt: new Date().toISOString()
+    };
+    
+    commitChange({ op: 'insert', collection: 'projects', record: project });
+    return project;
+}
+
+/**
+ * Rename a project
+ */
+function renameProject(project, name) {
+    var renamed = {
+        id: project.id,
+        name: name,
+        createdAt: project.createdAt
+    };
+    
+    commitChange({ op: 'upsert', collection: 'projects', match: { id: project.id }, record: renamed });
+    return renamed;
+}
+
+/**
+ * Delete a project together with all its data and its keys
+ */
+function deleteProject(project) {
+    PROJECT_COLLECTIONS.concat(['apiKeys']).forEach(function(collection) {
+        commitChange({ op: 'remove', collection: collection, match: { projectId: project.id } });
+    });
+    
+    commitChange({ op: 'remove', collection: 'projects', match: { id: project.id } });
+}
+
+/**
+ * Make sure the default project exists
+ */
+function ensureDefaultProject() {
+    if (!findProject(DEFAULT_PROJECT_ID)) {
+        createProject({ id: DEFAULT_PROJECT_ID, name: 'Default' });
+    }
+}
+
+/**
+ * Hash an API key for storage
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Get the public description of a stored API key
+ */
+function describeApiKey(apiKey) {
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        type: apiKey.type,
+        projectId: apiKey.projectId,
+        prefix: apiKey.prefix,
+        allowedOrigins: apiKey.allowedOrigins,
+        createdAt: apiKey.createdAt
+    };
+}
+
+/**
+ * Find a stored API key by the plain key presented with a request
+ */
+function findApiKey(key) {
+    var keyHash = hashApiKey(key);
+    
+    for (var i = 0; i < analyticsData.apiKeys.length; i++) {
+        if (analyticsData.apiKeys[i].keyHash === keyHash) {
+            return analyticsData.apiKeys[i];
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Find a stored API key by ID
+ */
+function findApiKeyById(id) {
+    for (var i = 0; i < analyticsData.apiKeys.length; i++) {
+        if (analyticsData.apiKeys[i].id === id) {
+            return analyticsData.apiKeys[i];
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Validate API key fields, returning a list of field errors
+ */
+function validateApiKeyData(data, partial) {
+    var schema = API_KEY_SCHEMA;
+    
+    if (partial) {
+        schema = { name: { type: 'string', minLength: 1, maxLength: 128 }, allowedOrigins: API_KEY_SCHEMA.allowedOrigins };
+    }
+    
+    var errors = validateSchema(schema, data);
+    
+    if (typeof data.projectId === 'string' && !findProject(data.projectId)) {
+        errors.push({ field: 'projectId', message: 'must be an existing project' });
+    }
+    
+    if (Array.isArray(data.allowedOrigins)) {
+        data.allowedOrigins.forEach(function(origin, index) {
+            if (origin !== '*' && !/^https?:\/\/[^\/\s]+$/.test(origin)) {
+                errors.push({ field: 'allowedOrigins.' + index, message: 'must be "*" or an origin such as https://example.com' });
+            }
+        });
+    }
+    
+    return errors;
+}
+
+/**
+ * Create an API key, returning the stored key and the plain key
+ * The plain key is only ever returned here, the store keeps its hash.
+ */
+function createApiKey(data) {
+    var plainKey = API_KEY_PREFIXES[data.type] + crypto.randomBytes(24).toString('hex');
+    
+    var apiKey = {
+        id: generateId(),
+        name: data.name,
+        type: data.type,
+        projectId: data.projectId || null,
+        prefix: plainKey.substr(0, 10),
+        keyHash: hashApiKey(plainKey),
+        allowedOrigins: data.allowedOrigins || [],
+        createdAt: new Date().toISOString()
+    };
+    
+    commitChange({ op: 'insert', collection: 'apiKeys', record: apiKey });
+    
+    return { apiKey: apiKey, key: plainKey };
+}
+
+/**
+ * Update the name or allowed origins of an API key
+ */
+function updateApiKey(apiKey, data) {
+    var updated = {};
+    
+    for (var field in apiKey) {
+        updated[field] = apiKey[field];
+    }
+    if (data.name !== undefined) {
+        updated.name = data.name;
+    }
+    if (data.allowedOrigins !== undefined) {
+        updated.allowedOrigins = data.allowedOrigins;
+    }
+    
+    commitChange({ op: 'upsert', collection: 'apiKeys', match: { id: apiKey.id }, record: updated });
+    return updated;
+}
+
+/**
+ * Revoke an API key
+ */
+function deleteApiKey(apiKey) {
+    commitChange({ op: 'remove', collection: 'apiKeys', match: { id: apiKey.id } });
+}
+
+/**
+ * Count the stored admin keys that are not bound to a project
+ */
+function countGlobalAdminKeys() {
+    return analyticsData.apiKeys.filter(function(apiKey) {
+        return apiKey.type === 'admin' && apiKey.projectId === null;
+    }).length;
+}
+
+/**
+ * Make sure an admin key exists, printing a new one on first start
+ */
+function ensureAdminKey() {
+    if (countGlobalAdminKeys() > 0) {
+        return;
+    }
+    
+    var created = createApiKey({ name: 'Initial admin key', type: 'admin' });
+    
+    console.log('=====================================');
+    console.log('Created initial admin API key (shown only once):');
+    console.log('  ' + created.key);
+    console.log('=====================================');
+}
+
+/**
+ * Check whether an origin is allowed for an API key
+ */
+function isOriginAllowed(apiKey, origin) {
+    return apiKey.allowedOrigins.indexOf('*') !== -1 || apiKey.allowedOrigins.indexOf(origin) !== -1;
+}
+
+/**
+ * Get the key type a route requires
+ */
+function getRequiredKeyType(method, pathname) {
+    if (pathname.startsWith('/api/track/') || pathname === '/api/identify' || (pathname === '/api/users' && method === 'POST')) {
+        return 'write';
+    }
+    
+    if (pathname === '/api/clear' || pathname === '/api/audit' || isGlobalAdminRoute(pathname) || (pathname.startsWith('/api/schemas/') && method !== 'GET')) {
+        return 'admin';
+    }
+    
+    // Alert rules make the server send requests to their webhook URLs
+    if ((pathname === '/api/alerts' || pathname.startsWith('/api/alerts/')) && method !== 'GET') {
+        return 'admin';
+    }
+    
+    // Data subject requests: deleting or exporting everything held about one person
+    if (pathname.startsWith('/api/users/') && (method === 'DELETE' || pathname.endsWith('/export'))) {
+        return 'admin';
+    }
+    
+    // Imports write data at any time in the past, which tracking with a write key cannot
+    if (pathname === '/api/import') {
+        return 'admin';
+    }
+    
+    // Read keys may only query, so defining and deleting funnels takes an admin key
+    if ((pathname === '/api/funnels' || pathname.startsWith('/api/funnels/')) && method !== 'GET') {
+        return 'admin';
+    }
+    
+    // Read keys may only query, so saving and deleting segments takes an admin key too
+    if (pathname.startsWith('/api/segments/') && method !== 'GET') {
+        return 'admin';
+    }
+    
+    return 'read';
+}
+
+/**
+ * Check whether a route manages keys or projects, which only keys not bound to a project may do
+ */
+function isGlobalAdminRoute(pathname) {
+    return pathname === '/api/keys' || pathname.startsWith('/api/keys/') ||
+        pathname === '/api/projects' || pathname.startsWith('/api/projects/');
+}
+
+/**
+ * Check whether an API key grants a required key type
+ */
+function hasKeyAccess(apiKey, requiredType) {
+    return apiKey.type === 'admin' || apiKey.type === requiredType;
+}
+
+/**
+ * Find the name of the first rule whose pattern matches a user agent
+ */
+function matchUserAgentRule(rules, userAgent) {
+    for (var i = 0; i < rules.length; i++) {
+        if (rules[i][0].test(userAgent)) {
+            return rules[i][1];
+        }
+    }
+    
+    return 'Other';
+}
+
+/**
+ * Classify a referrer as direct, internal (the same host as the page), search, social or other
+ */
+function classifyReferrer(referrerDomain, pageUrl) {
+    if (!referrerDomain) {
+        return 'direct';
+    }
+    
+    var pageDomain = getReferrerDomain(pageUrl);
+    if (pageDomain && pageDomain === referrerDomain) {
+        return 'internal';
+    }
+    if (SEARCH_REFERRER_PATTERN.test(referrerDomain)) {
+        return 'search';
+    }
+    if (SOCIAL_REFERRER_PATTERN.test(referrerDomain)) {
+        return 'social';
+    }
+    
+    return 'other';
+}
+
+/**
+ * Derive browser, OS, device type and bot flag from the user agent, the referrer type,
+ * and the UTM parameters of the page URL (url, else page)
+ * Everything is worked out locally from the rule tables above.
+ */
+function enrichPageView(data) {
+    var userAgent = data.userAgent || '';
+    var pageUrl = data.url || data.page || '';
+    var utm = {};
+    var isBot = BOT_PATTERN.test(userAgent);
+    var device = 'desktop';
+    
+    // A URL that cannot be parsed, such as one with an unclosed IPv6 host, has no UTM parameters
+    try {
+        utm = url.parse(pageUrl, true).query;
+    } catch (error) {
+        utm = {};
+    }
+    
+    if (isBot) {
+        device = 'bot';
+    } else if (TABLET_PATTERN.test(userAgent)) {
+        device = 'tablet';
+    } else if (MOBILE_PATTERN.test(userAgent)) {
+        device = 'mobile';
+    }
+    
+    return {
+        browser: isBot ? 'Bot' : matchUserAgentRule(BROWSER_RULES, userAgent),
+        os: matchUserAgentRule(OS_RULES, userAgent),
+        device: device,
+        isBot: isBot,
+        referrerType: classifyReferrer(getReferrerDomain(data.referrer), pageUrl),
+        utmSource: typeof utm.utm_source === 'string' ? utm.utm_source : null,
+        utmMedium: typeof utm.utm_medium === 'string' ? utm.utm_medium : null,
+        utmCampaign: typeof utm.utm_campaign === 'string' ? utm.utm_campaign : null
+    };
+}
+
+/**
+ * Track page view
+ * Imported page views pass their original id and timestamp in `original` and are not
+ * pushed to the live stream.
+ */
+function trackPageView(projectId, data, original) {
+    var timestamp = original ? original.timestamp : getTrackedTimestamp(data);
+    var userId = data.userId || 'anonymous';
+    var page = data.page || '/';
+    var session = resolveSession(projectId, data, userId, timestamp);
+    
+    var pageView = {
+        id: original ? original.id : generateId(),
+        projectId: projectId,
+        timestamp: timestamp,
+        page: page,
+        userId: userId,
+        anonymousId: data.anonymousId || null,
+        sessionId: session.id,
+        referrer: data.referrer || '',
+        userAgent: data.userAgent || ''
+    };
+    
+    var enrichment = enrichPageView(data);
+    for (var field in enrichment) {
+        pageView[field] = enrichment[field];
+    }
+    
+    if (pageView.isBot) {
+        session.isBot = true;
+    }
+    touchSession(session, userId, timestamp, page);
+    commitChange({ op: 'upsert', collection: 'sessions', match: { projectId: projectId, id: session.id }, record: session });
+    commitChange({ op: 'insert', collection: 'pageViews', record: pageView });
+    if (!original) {
+        publishStreamMessage(projectId, 'pageview', pageView);
+    }
+    
+    return pageView;
+}
+
+/**
+ * Track custom event
+ * Imported events pass their original id and timestamp in `original`, as for page views.
+ */
+function trackEvent(projectId, data, original) {
+    var timestamp = original ? original.timestamp : getTrackedTimestamp(data);
+    var userId = data.userId || 'anonymous';
+    var session = resolveSession(projectId, data, userId, timestamp);
+    
+    var event = {
+        id: original ? original.id : generateId(),
+        projectId: projectId,
+        timestamp: timestamp,
+        eventName: data.eventName || 'custom_event',
+        category: data.category || 'general',
+        userId: userId,
+        anonymousId: data.anonymousId || null,
+        sessionId: session.id,
+        properties: data.properties || {}
+    };
+    
+    touchSession(session, userId, timestamp);
+    commitChange({ op: 'upsert', collection: 'sessions', match: { projectId: projectId, id: session.id }, record: session });
+    commitChange({ op: 'insert', collection: 'events', record: event });
+    if (!original) {
+        publishStreamMessage(projectId, 'event', event);
+    }
+    
+    return event;
+}
+
+/**
+ * Register or update user
+ * Imported users pass their original registration time in `original`.
+ */
+function registerUser(projectId, data, original) {
+    var now = original ? original.timestamp : new Date().toISOString();
+    var existingUser = null;
+    
+    for (var i = 0; i < analyticsData.users.length; i++) {
+        if (analyticsData.users[i].userId === data.userId && analyticsData.users[i].projectId === projectId) {
+            existingUser = analyticsData.users[i];
+            break;
+        }
+    }
+    
+    var user = {
+        projectId: projectId,
+        userId: data.userId || generateId(),
+        email: data.email || '',
+        name: data.name || '',
+        registeredAt: existingUser ? existingUser.registeredAt : now,
+        lastSeen: now,
+        metadata: data.metadata || {}
+    };
+    
+    commitChange({ op: 'upsert', collection: 'users', match: { projectId: projectId, userId: user.userId }, record: user });
+    return user;
+}
+
+/**
+ * Link an anonymous ID to a user, so activity from before they signed in counts as theirs
+ * An anonymous ID belongs to one user at a time; identifying it again moves it.
+ */
+function identifyUser(projectId, data) {
+    var identity = {
+        projectId: projectId,
+        anonymousId: data.anonymousId,
+        userId: data.userId,
+        identifiedAt: new Date().toISOString()
+    };
+    
+    commitChange({ op: 'upsert', collection: 'identities', match: { projectId: projectId, anonymousId: identity.anonymousId }, record: identity });
+    return identity;
+}
+
+/**
+ * Record that a person saw a variant of an experiment
+ * Exposures are stored as events, so they show up in statistics, journeys and exports like any other.
+ */
+function trackExposure(projectId, data, original) {
+    return trackEvent(projectId, {
+        eventName: EXPERIMENT_EXPOSURE_EVENT,
+        category: 'experiment',
+        userId: data.userId,
+        anonymousId: data.anonymousId,
+        sessionId: data.sessionId,
+        timestamp: data.timestamp,
+        properties: { experimentId: data.experimentId, variant: data.variant }
+    }, original);
+}
+
+/**
+ * Create a function that tells which person a page view, event or session belongs to
+ * Signed-in activity belongs to its userId. Anonymous activity belongs to the user its
+ * anonymousId was identified as, else to the anonymousId, else to its session.
+ */
+function createPersonResolver(projectId) {
+    var identified = Object.create(null);
+    
+    getProjectRecords('identities', projectId).forEach(function(identity) {
+        identified[identity.anonymousId] = identity.userId;
+    });
+    
+    return function(record) {
+        if (record.userId && record.userId !== 'anonymous') {
+            return record.userId;
+        }
+        if (record.anonymousId) {
+            return identified[record.anonymousId] || 'anon:' + record.anonymousId;
+        }
+        
+        return 'session:' + (record.sessionId || record.id);
+    };
+}
+
+/**
+ * Get the key a record's person is counted under in the day counters: its userId, else
+ * its anonymousId, else its session, each behind a letter that tells them apart.
+ * Identities can change after a record is counted, so they are applied when reading.
+ */
+function getPersonKey(record) {
+    if (record.userId && record.userId !== 'anonymous') {
+        return 'u' + record.userId;
+    }
+    if (record.anonymousId) {
+        return 'a' + record.anonymousId;
+    }
+    
+    return 's' + (record.sessionId || record.id);
+}
+
+/**
+ * Add the people behind counted person keys to a lookup object, and return it
+ */
+function resolvePersonKeys(personCounts, personOf, people) {
+    for (var key in personCounts) {
+        var value = key.substr(1);
+        
+        if (key.charAt(0) === 'u') {
+            people[value] = true;
+        } else {
+            people[personOf(key.charAt(0) === 'a' ? { anonymousId: value } : { sessionId: value })] = true;
+        }
+    }
+    
+    return people;
+}
+
+/**
+ * Get the anonymous IDs identified as a user
+ */
+function getAnonymousIds(projectId, userId) {
+    return getProjectRecords('identities', projectId).filter(function(identity) {
+        return identity.userId === userId;
+    }).map(function(identity) {
+        return identity.anonymousId;
+    });
+}
+
+// Tracking function for each batch item type
+var BATCH_HANDLERS = {
+    pageview: trackPageView,
+    event: trackEvent,
+    user: registerUser,
+    identify: identifyUser,
+    exposure: trackExposure
+};
+
+/**
+ * Validate a batch item, returning a list of field errors
+ */
+function validateBatchItem(projectId, item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return [{ field: 'item', message: 'must be an object' }];
+    }
+    
+    if (Object.keys(BATCH_HANDLERS).indexOf(item.type) === -1) {
+        return [{ field: 'type', message: 'must be one of: ' + Object.keys(BATCH_HANDLERS).join(', ') }];
+    }
+    
+    return validateTrackedPayload(projectId, item.type, item);
+}
+
+/**
+ * Track a mixed batch of page views, events and user upserts
+ * Every item is handled on its own, so one bad item does not reject the batch.
+ * All changes are committed in the same tick and so reach the log in a single append.
+ */
+function trackBatch(projectId, items) {
+    var results = [];
+    var accepted = 0;
+    
+    items.forEach(function(item, index) {
+        var errors = validateBatchItem(projectId, item);
+        
+        if (errors.length > 0) {
+            results.push({ index: index, success: false, error: 'Validation failed', errors: errors });
+            return;
+        }
+        
+        try {
+            var data = BATCH_HANDLERS[item.type](projectId, item);
+            results.push({ index: index, success: true, data: data });
+            accepted++;
+        } catch (handlerError) {
+            results.push({ index: index, success: false, error: handlerError.message });
+        }
+    });
+    
+    return {
+        success: accepted === items.length,
+        accepted: accepted,
+        rejected: items.length - accepted,
+        results: results
+    };
+}
+
+/**
+ * Split CSV text into rows of cells, with the line each row starts on
+ * Quoted cells may contain commas, doubled quotes and line breaks. Blank lines are skipped.
+ */
+function parseCsv(text) {
+    var rows = [];
+    var cells = [];
+    var cell = '';
+    var quoted = false;
+    var line = 1;
+    var rowLine = 1;
+    
+    for (var i = 0; i < text.length; i++) {
+        var ch = text.charAt(i);
+        
+        if (quoted) {
+            if (ch === '"' && text.charAt(i + 1) === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') {
+                    line++;
+                }
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text.charAt(i + 1) === '\n') {
+                i++;
+            }
+            cells.push(cell);
+            rows.push({ line: rowLine, cells: cells });
+            cells = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+    
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        rows.push({ line: rowLine, cells: cells });
+    }
+    
+    return rows.filter(function(row) {
+        return row.cells.length > 1 || row.cells[0] !== '';
+    });
+}
+
+/**
+ * Read a CSV cell of a nested properties or metadata column back into its type
+ * Booleans and numbers are converted, and arrays and objects are read as JSON.
+ */
+function parseCsvValue(text) {
+    if (text === 'true' || text === 'false') {
+        return text === 'true';
+    }
+    if (/^-?\d+(\.\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    if (/^[\[{]/.test(text)) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+    
+    return text;
+}
+
+/**
+ * Turn a CSV row into a record, nesting dotted columns such as properties.plan
+ * Empty cells and the projectId column are left out.
+ */
+function csvRowToRecord(header, cells) {
+    var record = {};
+    
+    header.forEach(function(column, index) {
+        var value = cells[index];
+        var parts = column.split('.');
+        
+        if (value === undefined || value === '' || column === 'projectId') {
+            return;
+        }
+        if (parts[0] === 'properties' || parts[0] === 'metadata') {
+            value = parseCsvValue(value);
+        }
+        
+        var target = record;
+        for (var i = 0; i < parts.length - 1; i++) {
+            if (!target[parts[i]] || typeof target[parts[i]] !== 'object') {
+                target[parts[i]] = {};
+            }
+            target = target[parts[i]];
+        }
+        target[parts[parts.length - 1]] = value;
+    });
+    
+    return record;
+}
+
+/**
+ * Parse CSV (with a header row) or NDJSON import text into records with their line numbers
+ * Returns { rows, errors } where errors lists the lines that could not be parsed.
+ */
+function parseImportRows(text, format) {
+    var rows = [];
+    var errors = [];
+    
+    text = text.replace(/^\uFEFF/, '');
+    
+    if (format === 'csv') {
+        var csvRows = parseCsv(text);
+        var header = csvRows.length > 0 ? csvRows[0].cells.map(function(column) {
+            return column.trim();
+        }) : [];
+        var reserved = header.filter(function(column) {
+            return column.split('.').some(function(part) {
+                return RESERVED_COLUMN_PARTS.indexOf(part) !== -1;
+            });
+        });
+        
+        if (reserved.length > 0) {
+            errors.push({ line: csvRows[0].line, errors: reserved.map(function(column) {
+                return { field: column, message: 'is not an allowed column name' };
+            }) });
+            return { rows: rows, errors: errors };
+        }
+        
+        csvRows.slice(1).forEach(function(row) {
+            rows.push({ line: row.line, data: csvRowToRecord(header, row.cells) });
+        });
+        
+        return { rows: rows, errors: errors };
+    }
+    
+    text.split('\n').forEach(function(content, index) {
+        if (content.trim() === '') {
+            return;
+        }
+        
+        try {
+            rows.push({ line: index + 1, data: JSON.parse(content) });
+        } catch (error) {
+            errors.push({ line: index + 1, errors: [{ field: 'line', message: 'is not valid JSON' }] });
+        }
+    });
+    
+    return { rows: rows, errors: errors };
+}
+
+/**
+ * Import page views, events or users with their original timestamps
+ * Rows are validated like tracked data. Rows whose ID (userId for users) already
+ * exists in the project, or appeared earlier in the file, are skipped. Valid rows
+ * are stored in timestamp order so sessions are rebuilt as they happened.
+ * A dry run only validates and counts.
+ */
+function importRecords(projectId, type, format, text, dryRun) {
+    var parsed = parseImportRows(text, format);
+    var errors = parsed.errors;
+    var idField = type === 'user' ? 'userId' : 'id';
+    var timeField = type === 'user' ? 'registeredAt' : 'timestamp';
+    var seen = Object.create(null);
+    var valid = [];
+    var skipped = 0;
+    
+    getProjectRecords(IMPORT_COLLECTIONS[type], projectId).forEach(function(record) {
+        seen[record[idField]] = true;
+    });
+    
+    parsed.rows.forEach(function(row) {
+        var data = row.data;
+        var rowErrors = data && typeof data === 'object' && !Array.isArray(data) ?
+            validateSchema(IMPORT_SCHEMAS[type], data) :
+            [{ field: 'line', message: 'must be an object' }];
+        
+        if (rowErrors.length === 0) {
+            rowErrors = validatePayload(projectId, type, data);
+        }
+        if (rowErrors.length > 0) {
+            errors.push({ line: row.line, errors: rowErrors });
+            return;
+        }
+        
+        if (data[idField] !== undefined) {
+            if (seen[data[idField]]) {
+                skipped++;
+                return;
+            }
+            seen[data[idField]] = true;
+        }
+        
+        valid.push({ data: data, timestamp: new Date(data[timeField]).toISOString() });
+    });
+    
+    valid.sort(function(a, b) {
+        return a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0;
+    });
+    
+    if (!dryRun) {
+        valid.forEach(function(row) {
+            BATCH_HANDLERS[type](projectId, row.data, { id: row.data.id || generateId(), timestamp: row.timestamp });
+        });
+    }
+    
+    errors.sort(function(a, b) {
+        return a.line - b.line;
+    });
+    
+    return {
+        success: errors.length === 0,
+        dryRun: dryRun,
+        type: type,
+        imported: valid.length,
+        skipped: skipped,
+        rejected: errors.length,
+        errors: errors.slice(0, MAX_IMPORT_ERRORS),
+        errorsTruncated: errors.length > MAX_IMPORT_ERRORS
+    };
+}
+
+/**
+ * Write one Server-Sent Events message
+ */
+function writeStreamMessage(res, message) {
+    var text = '';
+    
+    if (message.id) {
+        text += 'id: ' + message.id + '\n';
+    }
+    text += 'event: ' + message.type + '\n';
+    text += 'data: ' + JSON.stringify(message.data) + '\n\n';
+    
+    res.write(text);
+}
+
+/**
+ * Keep a newly tracked record in the replay buffer and push it to the stream
+ * clients of its project
+ */
+function publishStreamMessage(projectId, type, data) {
+    streamSequence++;
+    
+    var message = { id: STREAM_EPOCH + '-' + streamSequence, sequence: streamSequence, projectId: projectId, type: type, data: data };
+    streamBuffer.push(message);
+    if (streamBuffer.length > STREAM_BUFFER_SIZE) {
+        streamBuffer.shift();
+    }
+    
+    streamClients.forEach(function(client) {
+        if (client.projectId === projectId) {
+            writeStreamMessage(client.res, message);
+        }
+    });
+}
+
+/**
+ * Count the people with a page view or event in the last few minutes
+ */
+function countActiveUsers(projectId) {
+    var range = { from: Date.now() - ACTIVE_USERS_WINDOW_MINUTES * 60 * 1000, to: Infinity };
+    var personOf = createPersonResolver(projectId);
+    var people = Object.create(null);
+    
+    getRangeRecords('pageViews', projectId, range).concat(getRangeRecords('events', projectId, range)).forEach(function(record) {
+        people[personOf(record)] = true;
+    });
+    
+    return Object.keys(people).length;
+}
+
+/**
+ * Push the active users count to every stream client
+ */
+function broadcastActiveUsers() {
+    var counts = {};
+    
+    streamClients.forEach(function(client) {
+        if (counts[client.projectId] === undefined) {
+            counts[client.projectId] = countActiveUsers(client.projectId);
+        }
+        
+        writeStreamMessage(client.res, {
+            type: 'active',
+            data: { activeUsers: counts[client.projectId], windowMinutes: ACTIVE_USERS_WINDOW_MINUTES }
+        });
+    });
+}
+
+/**
+ * Open a Server-Sent Events stream of a project's page views and events
+ * A client reconnecting with Last-Event-ID first gets the messages it missed, or
+ * a reset message when they are no longer buffered.
+ */
+function openStream(req, res, projectId) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    
+    var lastEventId = req.headers['last-event-id'];
+    if (lastEventId) {
+        var parts = lastEventId.split('-');
+        var lastSequence = parseInt(parts[1], 10);
+        var oldest = streamBuffer.length > 0 ? streamBuffer[0].sequence : streamSequence + 1;
+        
+        if (parts[0] !== STREAM_EPOCH || !(lastSequence >= oldest - 1)) {
+            writeStreamMessage(res, { type: 'reset', data: { reason: 'Missed messages are no longer available' } });
+        } else {
+            streamBuffer.forEach(function(message) {
+                if (message.sequence > lastSequence && message.projectId === projectId) {
+                    writeStreamMessage(res, message);
+                }
+            });
+        }
+    }
+    
+    var client = { projectId: projectId, res: res };
+    streamClients.push(client);
+    writeStreamMessage(res, {
+        type: 'active',
+        data: { activeUsers: countActiveUsers(projectId), windowMinutes: ACTIVE_USERS_WINDOW_MINUTES }
+    });
+    
+    req.on('close', function() {
+        streamClients.splice(streamClients.indexOf(client), 1);
+    });
+}
+
+/**
+ * Parse a filter expression such as
+ *   metadata.plan=premium AND (page=/pricing OR eventName="sign up")
+ * into a tree of { type: 'and' | 'or', left, right } and { type: 'condition', field, operator, value } nodes
+ * Throws an error naming the position of the first problem.
+ */
+function parseFilterExpression(text) {
+    var position = 0;
+    
+    function skipSpace() {
+        while (position < text.length && /\s/.test(text.charAt(position))) {
+            position++;
+        }
+    }
+    
+    function fail(message) {
+        throw new Error(message + ' at position ' + position);
+    }
+    
+    function readKeyword(keyword) {
+        skipSpace();
+        var match = new RegExp('^' + keyword + '(?=[\\s(]|$)', 'i').exec(text.substr(position));
+        if (match) {
+            position += keyword.length;
+            return true;
+        }
+        return false;
+    }
+    
+    // The operator is matched on its own, so a missing value fails for every operator
+    // instead of "sessionId>=" being read as ">" with the value "="
+    function parseCondition() {
+        var match = /^([A-Za-z_][\w.]*)\s*(!=|>=|<=|=|~|>|<)/.exec(text.substr(position));
+        
+        if (!match) {
+            fail('Expected a condition such as page=/home');
+        }
+        
+        var field = match[1];
+        if (FILTER_FIELDS.indexOf(field) === -1 && !/^(metadata|properties)\.[\w.]+$/.test(field)) {
+            fail('Unknown field "' + field + '"');
+        }
+        
+        position += match[0].length;
+        var valueMatch = /^\s*("(?:[^"\\]|\\.)*"|[^\s()]+)/.exec(text.substr(position));
+        
+        if (!valueMatch) {
+            fail('Expected a value after "' + field + match[2] + '"');
+        }
+        
+        var value = valueMatch[1];
+        if (value.charAt(0) === '"') {
+            value = JSON.parse(value);
+        }
+        
+        position += valueMatch[0].length;
+        return { type: 'condition', field: field, operator: match[2], value: value };
+    }
+    
+    function parsePrimary() {
+        skipSpace();
+        
+        if (text.charAt(position) !== '(') {
+            return parseCondition();
+        }
+        
+        position++;
+        var node = parseOr();
+        skipSpace();
+        if (text.charAt(position) !== ')') {
+            fail('Expected ")"');
+        }
+        position++;
+        return node;
+    }
+    
+    function parseAnd() {
+        var node = parsePrimary();
+        while (readKeyword('AND')) {
+            node = { type: 'and', left: node, right: parsePrimary() };
+        }
+        return node;
+    }
+    
+    function parseOr() {
+        var node = parseAnd();
+        while (readKeyword('OR')) {
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+    
+    var tree = parseOr();
+    skipSpace();
+    if (position < text.length) {
+        fail('Unexpected "' + text.charAt(position) + '"');
+    }
+    
+    return tree;
+}
+
+/**
+ * Get the host name of a referrer URL without a leading "www."
+ */
+function getReferrerDomain(referrer) {
+    var hostname = null;
+    
+    // url.parse throws on some malformed URLs, such as an unclosed IPv6 host
+    try {
+        hostname = referrer ? url.parse(referrer).hostname : null;
+    } catch (error) {
+        hostname = null;
+    }
+    
+    return hostname ? hostname.replace(/^www\./, '') : undefined;
+}
+
+/**
+ * Get the value of a filter field for a record and the user it belongs to
+ */
+function getFilterFieldValue(field, record, user) {
+    if (field.indexOf('metadata.') === 0) {
+        return user ? getPathValue(user.metadata, field.substr(9)) : undefined;
+    }
+    if (field.indexOf('properties.') === 0) {
+        return getPathValue(record.properties, field.substr(11));
+    }
+    if (field === 'referrerDomain') {
+        return getReferrerDomain(record.referrer);
+    }
+    
+    return record[field];
+}
+
+/**
+ * Compare a record value with the value of a filter condition
+ * Numbers are compared as numbers when both sides are numeric, everything else as strings.
+ */
+function compareFilterValue(operator, actual, expected) {
+    if (actual === undefined || actual === null || typeof actual === 'object') {
+        return false;
+    }
+    
+    if (operator === '=') {
+        return String(actual) === expected;
+    }
+    if (operator === '!=') {
+        return String(actual) !== expected;
+    }
+    if (operator === '~') {
+        return String(actual).toLowerCase().indexOf(expected.toLowerCase()) !== -1;
+    }
+    
+    var left = Number(actual);
+    var right = Number(expected);
+    if (isNaN(left) || isNaN(right) || actual === '' || expected === '') {
+        left = String(actual);
+        right = expected;
+    }
+    
+    if (operator === '>') {
+        return left > right;
+    }
+    if (operator === '<') {
+        return left < right;
+    }
+    if (operator === '>=') {
+        return left >= right;
+    }
+    return left <= right;
+}
+
+/**
+ * Evaluate a parsed filter against a record
+ */
+function evaluateFilter(node, record, user) {
+    if (node.type === 'and') {
+        return evaluateFilter(node.left, record, user) && evaluateFilter(node.right, record, user);
+    }
+    if (node.type === 'or') {
+        return evaluateFilter(node.left, record, user) || evaluateFilter(node.right, record, user);
+    }
+    
+    return compareFilterValue(node.operator, getFilterFieldValue(node.field, record, user), node.value);
+}
+
+/**
+ * Create a predicate for the page views, events and users of a project from a parsed filter
+ * Conditions on fields a record does not have (such as eventName on a page view) never match.
+ */
+function createRecordFilter(projectId, tree) {
+    var usersById = null;
+    var personOf = null;
+    
+    return function(record) {
+        if (!usersById) {
+            usersById = Object.create(null);
+            getProjectRecords('users', projectId).forEach(function(user) {
+                usersById[user.userId] = user;
+            });
+            personOf = createPersonResolver(projectId);
+        }
+        
+        return evaluateFilter(tree, record, usersById[personOf(record)]);
+    };
+}
+
+/**
+ * Keep the sessions that contain at least one of the given records
+ */
+function filterSessionsByRecords(sessions, records) {
+    var sessionIds = Object.create(null);
+    
+    records.forEach(function(record) {
+        sessionIds[record.sessionId] = true;
+    });
+    
+    return sessions.filter(function(session) {
+        return sessionIds[session.id];
+    });
+}
+
+/**
+ * Keep the users that match a filter themselves or have one of the given matching records
+ */
+function filterUsersBySegment(users, records, filter, personOf) {
+    var userIds = Object.create(null);
+    
+    records.forEach(function(record) {
+        userIds[personOf(record)] = true;
+    });
+    
+    return users.filter(function(user) {
+        return userIds[user.userId] || filter(user);
+    });
+}
+
+/**
+ * Find a saved segment of a project by name
+ */
+function findSegment(projectId, name) {
+    for (var i = 0; i < analyticsData.segments.length; i++) {
+        if (analyticsData.segments[i].name === name && analyticsData.segments[i].projectId === projectId) {
+            return analyticsData.segments[i];
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Save a segment under a name, replacing an existing one
+ */
+function saveSegment(projectId, name, data) {
+    var existing = findSegment(projectId, name);
+    
+    var segment = {
+        projectId: projectId,
+        name: name,
+        where: data.where,
+        description: data.description || '',
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    commitChange({ op: 'upsert', collection: 'segments', match: { projectId: projectId, name: name }, record: segment });
+    return segment;
+}
+
+/**
+ * Delete a saved segment
+ */
+function deleteSegment(segment) {
+    commitChange({ op: 'remove', collection: 'segments', match: { projectId: segment.projectId, name: segment.name } });
+}
+
+/**
+ * Build the record filter of a request from its "segment" and "where" parameters
+ * Both are combined with AND. Returns { filter, where } (filter is null without either)
+ * or { error } when a segment is unknown or the expression does not parse.
+ */
+function parseSegmentQuery(projectId, segmentName, where) {
+    var expressions = [];
+    
+    if ((segmentName && typeof segmentName !== 'string') || (where && typeof where !== 'string')) {
+        return { error: 'segment and where may only be given once' };
+    }
+    
+    if (segmentName) {
+        var segment = findSegment(projectId, segmentName);
+        if (!segment) {
+            return { error: 'Unknown segment "' + segmentName + '"' };
+        }
+        expressions.push(segment.where);
+    }
+    
+    if (where) {
+        expressions.push(where);
+    }
+    
+    if (expressions.length === 0) {
+        return { filter: null, where: '' };
+    }
+    
+    var combined = expressions.length === 1 ? expressions[0] : '(' + expressions.join(') AND (') + ')';
+    
+    if (combined.length > MAX_FILTER_LENGTH) {
+        return { error: 'Filter is longer than ' + MAX_FILTER_LENGTH + ' characters' };
+    }
+    
+    try {
+        return { filter: createRecordFilter(projectId, parseFilterExpression(combined)), where: combined };
+    } catch (error) {
+        return { error: 'Invalid filter: ' + error.message };
+    }
+}
+
+// Wall-clock formatters by timezone name
+var timezoneFormatters = Object.create(null);
+
+/**
+ * Get the formatter that shows an instant as wall-clock time in a timezone
+ */
+function getTimezoneFormatter(timezone) {
+    if (!timezoneFormatters[timezone]) {
+        timezoneFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hour12: false,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    
+    return timezoneFormatters[timezone];
+}
+
+/**
+ * Check whether a timezone name is known
+ */
+function isValidTimezone(timezone) {
+    try {
+        getTimezoneFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getTimezoneOffset(time, timezone) {
+    if (timezone === 'UTC') {
+        return 0;
+    }
+    
+    // "10/19/2026, 15:17:02" read back as if it were UTC
+    var parts = getTimezoneFormatter(timezone).format(new Date(time)).match(/\d+/g);
+    var wallClock = Date.UTC(+parts[2], parts[0] - 1, +parts[1], parts[3] % 24, +parts[4], +parts[5]);
+    
+    return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Convert wall-clock time in a timezone (as a UTC timestamp) to the actual instant
+ */
+function localToUtc(localTime, timezone) {
+    var guess = localTime - getTimezoneOffset(localTime, timezone);
+    return localTime - getTimezoneOffset(guess, timezone);
+}
+
+/**
+ * Parse a from/to query value; dates and date-times without an offset are read in the timezone
+ */
+function parseTimeInZone(value, timezone) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return localToUtc(Date.parse(value + 'T00:00:00Z'), timezone);
+    }
+    if (/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(value)) {
+        return localToUtc(Date.parse(value + 'Z'), timezone);
+    }
+    
+    return Date.parse(value);
+}
+
+/**
+ * Pick a bucket size that gives a readable number of points for a range
+ */
+function pickSeriesInterval(rangeMs) {
+    if (rangeMs <= 3 * SERIES_INTERVALS.hour) {
+        return 'minute';
+    }
+    if (rangeMs <= 3 * SERIES_INTERVALS.day) {
+        return 'hour';
+    }
+    if (rangeMs <= 90 * SERIES_INTERVALS.day) {
+        return 'day';
+    }
+    
+    return 'week';
+}
+
+/**
+ * Read the time range options shared by the statistics routes from a query
+ * Returns { options } or { error } when a parameter is invalid.
+ */
+function parseTimeRangeQuery(query) {
+    var timezone = query.tz || 'UTC';
+    
+    if (!isValidTimezone(timezone)) {
+        return { error: 'Unknown timezone "' + timezone + '"' };
+    }
+    
+    var hours = parseFloat(query.hours) || 24;
+    var to = query.to ? parseTimeInZone(query.to, timezone) : Date.now();
+    var from = query.from ? parseTimeInZone(query.from, timezone) : to - hours * 60 * 60 * 1000;
+    
+    if (isNaN(from) || isNaN(to)) {
+        return { error: 'from and to must be ISO 8601 dates or date-times' };
+    }
+    if (from >= to) {
+        return { error: 'from must be before to' };
+    }
+    
+    var interval = query.interval || pickSeriesInterval(to - from);
+    
+    if (Object.keys(SERIES_INTERVALS).indexOf(interval) === -1) {
+        return { error: 'interval must be one of: ' + Object.keys(SERIES_INTERVALS).join(', ') };
+    }
+    if ((to - from) / SERIES_INTERVALS[interval] > MAX_SERIES_BUCKETS) {
+        return { error: 'Range is too long for interval "' + interval + '", at most ' + MAX_SERIES_BUCKETS + ' buckets are allowed' };
+    }
+    
+    return {
+        options: {
+            from: from,
+            to: to,
+            interval: interval,
+            timezone: timezone,
+            label: query.from || query.to ? new Date(from).toISOString() + ' to ' + new Date(to).toISOString() : hours + ' hours'
+        }
+    };
+}
+
+/**
+ * Get the bucket boundaries covering a range, aligned to the interval in the timezone
+ * Days and weeks (starting Monday) follow the local calendar, so they stay aligned across DST changes.
+ */
+function getBucketBoundaries(from, to, interval, timezone) {
+    var size = SERIES_INTERVALS[interval];
+    var local = from + getTimezoneOffset(from, timezone);
+    var dayMs = SERIES_INTERVALS.day;
+    
+    if (interval === 'week') {
+        local = Math.floor(local / dayMs) * dayMs;
+        local -= ((new Date(local).getUTCDay() + 6) % 7) * dayMs;
+    } else {
+        local = Math.floor(local / size) * size;
+    }
+    
+    var boundaries = [];
+    var boundary = localToUtc(local, timezone);
+    
+    while (boundary < to) {
+        boundaries.push(boundary);
+        local += size;
+        boundary = localToUtc(local, timezone);
+    }
+    boundaries.push(boundary);
+    
+    return boundaries;
+}
+
+/**
+ * Find the bucket a time falls into, or -1 when it is outside all of them
+ */
+function findBucket(boundaries, time) {
+    var low = 0;
+    var high = boundaries.length - 2;
+    
+    if (time < boundaries[0] || time >= boundaries[boundaries.length - 1]) {
+        return -1;
+    }
+    
+    while (low < high) {
+        var middle = Math.ceil((low + high) / 2);
+        if (boundaries[middle] <= time) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    
+    return low;
+}
+
+/**
+ * Create a function that counts a list of time-ordered records within a time range, like
+ * countRangeRecords does for the indexed records of a project
+ */
+function createListCounter(collection, records) {
+    var timeField = INDEXED_COLLECTIONS[collection].timeField;
+    var times = records.map(function(record) {
+        return Date.parse(record[timeField]);
+    });
+    
+    return function(range) {
+        return countRecords(collection, records.slice(bisect(times, range.from), bisect(times, range.to)));
+    };
+}
+
+/**
+ * Build zero-filled time series of page views, events, unique users and new users
+ * Page views and events are counted per bucket by the given counters (see createListCounter).
+ */
+function buildTimeSeries(countPageViews, countEvents, users, options, rollups, personOf) {
+    var boundaries = getBucketBoundaries(options.from, options.to, options.interval, options.timezone);
+    var buckets = [];
+    var bucketUsers = [];
+    
+    for (var i = 0; i < boundaries.length - 1; i++) {
+        var range = { from: Math.max(boundaries[i], options.from), to: Math.min(boundaries[i + 1], options.to) };
+        var pageViewCounts = countPageViews(range);
+        
+        buckets.push({
+            start: new Date(boundaries[i]).toISOString(),
+            pageViews: pageViewCounts.total,
+            events: countEvents(range).total,
+            uniqueUsers: 0,
+            newUsers: 0
+        });
+        bucketUsers.push(Object.keys(resolvePersonKeys(pageViewCounts.counts.person, personOf, Object.create(null))));
+    }
+    
+    users.forEach(function(user) {
+        var index = findBucket(boundaries, new Date(user.registeredAt).getTime());
+        if (index !== -1) {
+            buckets[index].newUsers++;
+        }
+    });
+    
+    // A rolled-up day counts in the bucket its UTC day starts in
+    var bucketRollups = buckets.map(function() {
+        return [];
+    });
+    rollups.forEach(function(rollup) {
+        var index = findBucket(boundaries, getRollupTime(rollup));
+        if (index !== -1) {
+            buckets[index].pageViews += rollup.pageViews;
+            buckets[index].events += rollup.events;
+            bucketRollups[index].push(rollup);
+        }
+    });
+    
+    buckets.forEach(function(bucket, index) {
+        bucket.uniqueUsers = countUniqueUsers(bucketUsers[index], bucketRollups[index]);
+    });
+    
+    return buckets;
+}
+
+/**
+ * Get the start time of a daily rollup
+ */
+function getRollupTime(rollup) {
+    return Date.parse(rollup.date + 'T00:00:00.000Z');
+}
+
+/**
+ * Get the daily rollups of a project whose UTC day starts within a time range
+ */
+function getRollups(projectId, options) {
+    return getProjectRecords('rollups', projectId).filter(function(rollup) {
+        var time = getRollupTime(rollup);
+        return time >= options.from && time < options.to;
+    });
+}
+
+/**
+ * Get the IDs of a project's sessions with a bot page view, as a lookup object
+ */
+function getBotSessions(projectId) {
+    var botSessions = Object.create(null);
+    
+    getProjectRecords('sessions', projectId).forEach(function(session) {
+        if (session.isBot) {
+            botSessions[session.id] = true;
+        }
+    });
+    
+    return botSessions;
+}
+
+/**
+ * Get analytics statistics of a project for a time range
+ * Days whose raw data has expired are answered from their daily rollups, except when
+ * a filter is applied or bots are excluded. So are whole days of raw data, which are
+ * read from the day counters of the indexes; only a filter or bot exclusion, which the
+ * counters cannot apply, makes every record in the range be visited.
+ */
+function getStatistics(projectId, options) {
+    var filter = options.filter;
+    var rollups = filter || options.excludeBots ? [] : getRollups(projectId, options);
+    var personOf = createPersonResolver(projectId);
+    var botSessions = options.excludeBots ? getBotSessions(projectId) : Object.create(null);
+    var filteredPageViews = null;
+    var filteredEvents = null;
+    var countPageViews;
+    var countEvents;
+    
+    if (filter || options.excludeBots) {
+        filteredPageViews = getRangeRecords('pageViews', projectId, options).filter(function(pv) {
+            return !botSessions[pv.sessionId] && (!filter || filter(pv));
+        });
+        filteredEvents = getRangeRecords('events', projectId, options).filter(function(ev) {
+            return !botSessions[ev.sessionId] && (!filter || filter(ev));
+        });
+        countPageViews = createListCounter('pageViews', filteredPageViews);
+        countEvents = createListCounter('events', filteredEvents);
+    } else {
+        countPageViews = function(range) {
+            return countRangeRecords('pageViews', projectId, range);
+        };
+        countEvents = function(range) {
+            return countRangeRecords('events', projectId, range);
+        };
+    }
+    
+    var pageViewCounts = countPageViews(options);
+    var eventCounts = countEvents(options);
+    var people = resolvePersonKeys(pageViewCounts.counts.person, personOf, Object.create(null));
+    var uniqueUsers = Object.keys(people);
+    var activeCount = Object.keys(resolvePersonKeys(eventCounts.counts.person, personOf, people)).length;
+    var pageStats = pageViewCounts.counts.page;
+    var eventStats = eventCounts.counts.eventName;
+    
+    var rolledUp = { pageViews: 0, events: 0, sessions: 0, bounces: 0, sessionDuration: 0 };
+    rollups.forEach(function(rollup) {
+        for (var field in rolledUp) {
+            rolledUp[field] += rollup[field];
+        }
+        addCounts(pageStats, rollup.pages);
+        addCounts(eventStats, rollup.eventNames);
+    });
+    
+    var revenueEvents = filteredEvents ? filteredEvents.filter(function(ev) {
+        return ev.eventName === REVENUE_EVENT;
+    }) : getKeyedRecords('events', projectId, 'eventName', REVENUE_EVENT).filter(function(ev) {
+        var time = Date.parse(ev.timestamp);
+        return time >= options.from && time < options.to;
+    });
+    
+    var filteredSessions = getRangeRecords('sessions', projectId, options).filter(function(session) {
+        return !botSessions[session.id];
+    });
+    
+    if (filter) {
+        filteredSessions = filterSessionsByRecords(filteredSessions, filteredPageViews.concat(filteredEvents));
+    }
+    
+    var totalDuration = rolledUp.sessionDuration;
+    var bounces = rolledUp.bounces;
+    var totalSessions = filteredSessions.length + rolledUp.sessions;
+    filteredSessions.forEach(function(session) {
+        totalDuration += session.duration;
+        if (session.bounce) {
+            bounces++;
+        }
+    });
+    
+    var users = getProjectRecords('users', projectId);
+    
+    if (filter) {
+        users = filterUsersBySegment(users, filteredPageViews.concat(filteredEvents), filter, personOf);
+    }
+    
+    return {
+        timeRange: options.label,
+        where: options.where || null,
+        from: new Date(options.from).toISOString(),
+        to: new Date(options.to).toISOString(),
+        totalPageViews: pageViewCounts.total + rolledUp.pageViews,
+        totalEvents: eventCounts.total + rolledUp.events,
+        uniqueUsers: countUniqueUsers(uniqueUsers, rollups),
+        totalSessions: totalSessions,
+        averageSessionDuration: totalSessions ? Math.round(totalDuration / totalSessions) : 0,
+        bounceRate: totalSessions ? Math.round(bounces / totalSessions * 10000) / 100 : 0,
+        topPages: pageStats,
+        topEvents: eventStats,
+        excludeBots: !!options.excludeBots,
+        referrerTypes: pageViewCounts.counts.referrerType,
+        topReferrers: pageViewCounts.counts.referrerDomain,
+        campaigns: pageViewCounts.counts.utmCampaign,
+        browsers: pageViewCounts.counts.browser,
+        operatingSystems: pageViewCounts.counts.os,
+        devices: pageViewCounts.counts.device,
+        revenue: getRevenue(revenueEvents, activeCount, personOf),
+        totalUsers: users.length,
+        rolledUpDays: rollups.length,
+        series: {
+            interval: options.interval,
+            timezone: options.timezone,
+            buckets: buildTimeSeries(countPageViews, countEvents, users, options, rollups, personOf)
+        }
+    };
+}
+
+/**
+ * Get the start of the day, week (starting Monday) or month containing a wall-clock time
+ */
+function getLocalPeriodStart(localTime, period) {
+    var dayMs = SERIES_INTERVALS.day;
+    var date = new Date(localTime);
+    
+    if (period === 'month') {
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    }
+    
+    var start = Math.floor(localTime / dayMs) * dayMs;
+    if (period === 'week') {
+        start -= ((new Date(start).getUTCDay() + 6) % 7) * dayMs;
+    }
+    
+    return start;
+}
+
+/**
+ * Move a wall-clock period start by a number of periods
+ */
+function addLocalPeriods(localStart, count, period) {
+    if (period === 'month') {
+        var date = new Date(localStart);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1);
+    }
+    
+    return localStart + count * SERIES_INTERVALS[period];
+}
+
+/**
+ * Build a retention triangle: users grouped by signup period, and the share of each
+ * group that was active in every later period up to now
+ * Activity is any page view or event, or only events named options.eventName.
+ */
+function getCohorts(projectId, options) {
+    var period = options.period;
+    var timezone = options.timezone;
+    var now = Date.now();
+    var currentStart = getLocalPeriodStart(now + getTimezoneOffset(now, timezone), period);
+    var firstStart = addLocalPeriods(currentStart, 1 - options.cohorts, period);
+    var boundaries = [];
+    
+    for (var i = 0; i <= options.cohorts; i++) {
+        boundaries.push(localToUtc(addLocalPeriods(firstStart, i, period), timezone));
+    }
+    
+    var rows = boundaries.slice(0, -1).map(function(start, index) {
+        var local = new Date(addLocalPeriods(firstStart, index, period)).toISOString();
+        
+        return {
+            cohort: new Date(start).toISOString(),
+            label: period === 'month' ? local.substr(0, 7) : local.substr(0, 10),
+            size: 0,
+            activeUsers: []
+        };
+    });
+    
+    var cohortOfUser = Object.create(null);
+    getProjectRecords('users', projectId).forEach(function(user) {
+        var index = findBucket(boundaries, new Date(user.registeredAt).getTime());
+        if (index !== -1) {
+            cohortOfUser[user.userId] = index;
+            rows[index].size++;
+        }
+    });
+    
+    var range = { from: boundaries[0], to: boundaries[boundaries.length - 1] };
+    var activity = options.eventName ?
+        getKeyedRecords('events', projectId, 'eventName', options.eventName) :
+        getRangeRecords('events', projectId, range).concat(getRangeRecords('pageViews', projectId, range));
+    
+    var personOf = createPersonResolver(projectId);
+    activity.forEach(function(record) {
+        var person = personOf(record);
+        var cohortIndex = cohortOfUser[person];
+        var index = findBucket(boundaries, new Date(record.timestamp).getTime());
+        
+        if (cohortIndex === undefined || index < cohortIndex) {
+            return;
+        }
+        
+        var row = rows[cohortIndex];
+        var offset = index - cohortIndex;
+        row.activeUsers[offset] = row.activeUsers[offset] || Object.create(null);
+        row.activeUsers[offset][person] = true;
+    });
+    
+    return {
+        period: period,
+        timezone: timezone,
+        eventName: options.eventName || null,
+        cohorts: rows.map(function(row, cohortIndex) {
+            var retention = [];
+            
+            // Only periods that have started by now, which makes the triangle
+            for (var offset = 0; offset < rows.length - cohortIndex; offset++) {
+                var users = Object.keys(row.activeUsers[offset] || {}).length;
+                retention.push({
+                    period: offset,
+                    users: users,
+                    percent: row.size ? Math.round(users / row.size * 10000) / 100 : 0
+                });
+            }
+            
+            return { cohort: row.cohort, label: row.label, size: row.size, retention: retention };
+        })
+    };
+}
+
+/**
+ * Read the cohort report options from a query
+ * Returns { options } or { error } when a parameter is invalid.
+ */
+function parseCohortQuery(query) {
+    var period = query.period || 'week';
+    var cohorts = query.cohorts === undefined ? 8 : parseInt(query.cohorts, 10);
+    var timezone = query.tz || 'UTC';
+    
+    if (COHORT_PERIODS.indexOf(period) === -1) {
+        return { error: 'period must be one of: ' + COHORT_PERIODS.join(', ') };
+    }
+    if (!(cohorts >= 1 && cohorts <= MAX_COHORTS)) {
+        return { error: 'cohorts must be between 1 and ' + MAX_COHORTS };
+    }
+    if (!isValidTimezone(timezone)) {
+        return { error: 'Unknown timezone "' + timezone + '"' };
+    }
+    
+    return { options: { period: period, cohorts: cohorts, timezone: timezone, eventName: query.event } };
+}
+
+/**
+ * Check whether a field can be read from events: a filter field, properties.* or metadata.*
+ */
+function isAggregateField(field) {
+    return FILTER_FIELDS.indexOf(field) !== -1 || /^(metadata|properties)\.[\w.]+$/.test(field);
+}
+
+/**
+ * Read the options of a property aggregation from a query
+ * Returns { options } or { error } when a parameter is invalid.
+ */
+function parseAggregateQuery(query) {
+    var metrics = String(query.metrics || 'count').split(',');
+    var groupBy = query.groupBy ? String(query.groupBy).split(',') : [];
+    var limit = query.limit === undefined ? 100 : parseInt(query.limit, 10);
+    
+    for (var i = 0; i < metrics.length; i++) {
+        if (AGGREGATE_METRICS.indexOf(metrics[i]) === -1 && !/^p(100|[1-9]?\d(\.\d+)?)$/.test(metrics[i])) {
+            return { error: 'metrics must be a list of: ' + AGGREGATE_METRICS.join(', ') + ' or percentiles such as p50, p95, p99.9' };
+        }
+    }
+    if (query.property !== undefined && !isAggregateField(query.property)) {
+        return { error: 'Unknown property "' + query.property + '", use properties.<name>, metadata.<name> or an event field' };
+    }
+    if (!query.property && (metrics.length > 1 || metrics[0] !== 'count')) {
+        return { error: 'property is required for metrics other than count' };
+    }
+    if (groupBy.length > MAX_AGGREGATE_GROUP_BY) {
+        return { error: 'groupBy takes at most ' + MAX_AGGREGATE_GROUP_BY + ' fields' };
+    }
+    for (var j = 0; j < groupBy.length; j++) {
+        if (!isAggregateField(groupBy[j])) {
+            return { error: 'Unknown groupBy field "' + groupBy[j] + '"' };
+        }
+    }
+    if (!(limit >= 1 && limit <= MAX_AGGREGATE_GROUPS)) {
+        return { error: 'limit must be between 1 and ' + MAX_AGGREGATE_GROUPS };
+    }
+    
+    return {
+        options: {
+            eventName: query.event || null,
+            property: query.property || null,
+            metrics: metrics,
+            groupBy: groupBy,
+            limit: limit
+        }
+    };
+}
+
+/**
+ * Get a percentile of sorted numbers, interpolating between the closest ranks
+ */
+function percentile(sorted, p) {
+    var rank = p / 100 * (sorted.length - 1);
+    var lower = Math.floor(rank);
+    
+    if (lower === sorted.length - 1) {
+        return sorted[lower];
+    }
+    
+    return sorted[lower] + (sorted[lower + 1] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Compute the requested metrics over the events of one group
+ * count counts events, countDistinct the distinct values of the property, and the
+ * other metrics only look at numeric values.
+ */
+function computeAggregateMetrics(metrics, values, count) {
+    var numbers = values.filter(function(value) {
+        return typeof value === 'number' && isFinite(value);
+    }).sort(function(a, b) {
+        return a - b;
+    });
+    var sum = numbers.reduce(function(total, value) {
+        return total + value;
+    }, 0);
+    var result = {};
+    
+    metrics.forEach(function(metric) {
+        if (metric === 'count') {
+            result.count = count;
+        } else if (metric === 'countDistinct') {
+            var distinct = {};
+            values.forEach(function(value) {
+                if (value !== undefined && value !== null) {
+                    distinct[JSON.stringify(value)] = true;
+                }
+            });
+            result.countDistinct = Object.keys(distinct).length;
+        } else if (numbers.length === 0) {
+            result[metric] = metric === 'sum' ? 0 : null;
+        } else if (metric === 'sum') {
+            result.sum = Math.round(sum * 100) / 100;
+        } else if (metric === 'avg') {
+            result.avg = Math.round(sum / numbers.length * 100) / 100;
+        } else if (metric === 'min') {
+            result.min = numbers[0];
+        } else if (metric === 'max') {
+            result.max = numbers[numbers.length - 1];
+        } else {
+            result[metric] = Math.round(percentile(numbers, parseFloat(metric.substr(1))) * 100) / 100;
+        }
+    });
+    
+    return result;
+}
+
+/**
+ * Aggregate an event property over a time range, optionally grouped by event fields,
+ * properties or the metadata of the user behind each event
+ * Only raw events are aggregated; daily rollups do not keep properties.
+ */
+function aggregateEvents(projectId, options, range) {
+    var personOf = createPersonResolver(projectId);
+    var botSessions = range.excludeBots ? getBotSessions(projectId) : Object.create(null);
+    var usersById = Object.create(null);
+    var groups = {};
+    var allValues = [];
+    
+    getProjectRecords('users', projectId).forEach(function(user) {
+        usersById[user.userId] = user;
+    });
+    
+    var events = getRangeRecords('events', projectId, range).filter(function(ev) {
+        return (!options.eventName || ev.eventName === options.eventName) &&
+            !botSessions[ev.sessionId] && (!range.filter || range.filter(ev));
+    });
+    
+    events.forEach(function(ev) {
+        var user = usersById[personOf(ev)];
+        var value = options.property ? getFilterFieldValue(options.property, ev, user) : undefined;
+        var groupValues = options.groupBy.map(function(field) {
+            var groupValue = getFilterFieldValue(field, ev, user);
+            return groupValue === undefined ? null : groupValue;
+        });
+        var key = JSON.stringify(groupValues);
+        
+        if (!groups[key]) {
+            groups[key] = { values: groupValues, propertyValues: [], count: 0 };
+        }
+        groups[key].propertyValues.push(value);
+        groups[key].count++;
+        allValues.push(value);
+    });
+    
+    var rows = Object.keys(groups).map(function(key) {
+        var group = groups[key];
+        var row = { group: {} };
+        
+        options.groupBy.forEach(function(field, index) {
+            row.group[field] = group.values[index];
+        });
+        
+        var metrics = computeAggregateMetrics(options.metrics, group.propertyValues, group.count);
+        for (var metric in metrics) {
+            row[metric] = metrics[metric];
+        }
+        row.events = group.count;
+        
+        return row;
+    }).sort(function(a, b) {
+        return b.events - a.events;
+    });
+    
+    return {
+        timeRange: range.label,
+        from: new Date(range.from).toISOString(),
+        to: new Date(range.to).toISOString(),
+        where: range.where || null,
+        eventName: options.eventName,
+        property: options.property,
+        metrics: options.metrics,
+        groupBy: options.groupBy,
+        totals: computeAggregateMetrics(options.metrics, allValues, events.length),
+        groups: options.groupBy.length > 0 ? rows.slice(0, options.limit) : [],
+        groupCount: options.groupBy.length > 0 ? rows.length : 0
+    };
+}
+
+/**
+ * Get the revenue of the configured purchase event, per currency
+ * Revenue per user divides by the given count of everyone active in the same range,
+ * revenue per paying user by those who made a purchase.
+ */
+function getRevenue(events, activeCount, personOf) {
+    var currencies = Object.create(null);
+    
+    events.forEach(function(ev) {
+        var amount = ev.eventName === REVENUE_EVENT ? getPathValue(ev.properties, REVENUE_AMOUNT_PROPERTY) : undefined;
+        
+        if (typeof amount !== 'number' || !isFinite(amount)) {
+            return;
+        }
+        
+        var currency = getPathValue(ev.properties, REVENUE_CURRENCY_PROPERTY);
+        currency = typeof currency === 'string' && currency ? currency.toUpperCase() : null;
+        
+        var entry = currencies[currency || ''];
+        if (!entry) {
+            entry = currencies[currency || ''] = { currency: currency, revenue: 0, orders: 0, payers: Object.create(null) };
+        }
+        entry.revenue += amount;
+        entry.orders++;
+        entry.payers[personOf(ev)] = true;
+    });
+    
+    return {
+        eventName: REVENUE_EVENT,
+        activeUsers: activeCount,
+        currencies: Object.keys(currencies).map(function(key) {
+            var entry = currencies[key];
+            var payingUsers = Object.keys(entry.payers).length;
+            
+            return {
+                currency: entry.currency,
+                revenue: Math.round(entry.revenue * 100) / 100,
+                orders: entry.orders,
+                payingUsers: payingUsers,
+                averageOrderValue: Math.round(entry.revenue / entry.orders * 100) / 100,
+                revenuePerUser: activeCount ? Math.round(entry.revenue / activeCount * 100) / 100 : 0,
+                revenuePerPayingUser: Math.round(entry.revenue / payingUsers * 100) / 100
+            };
+        }).sort(function(a, b) {
+            return b.revenue - a.revenue;
+        })
+    };
+}
+
+/**
+ * Get the statistics of several saved segments side by side
+ * Returns a list of { segment, where, stats } or { error } when a segment is unknown.
+ */
+function compareSegments(projectId, names, options) {
+    var comparison = [];
+    var segmentNames = String(names).split(',');
+    
+    for (var i = 0; i < segmentNames.length; i++) {
+        var segmentQuery = parseSegmentQuery(projectId, segmentNames[i], options.where);
+        
+        if (segmentQuery.error) {
+            return { error: segmentQuery.error };
+        }
+        
+        var segmentOptions = {};
+        for (var option in options) {
+            segmentOptions[option] = options[option];
+        }
+        segmentOptions.filter = segmentQuery.filter;
+        segmentOptions.where = segmentQuery.where;
+        
+        comparison.push({
+            segment: segmentNames[i],
+            where: segmentQuery.where,
+            stats: getStatistics(projectId, segmentOptions)
+        });
+    }
+    
+    return comparison;
+}
+
+/**
+ * Get the journey of a user in a project, optionally limited to a segment filter
+ * Anonymous activity identified as the user is part of the journey.
+ */
+function getUserJourney(projectId, userId, filter) {
+    var personOf = createPersonResolver(projectId);
+    var anonymousIds = getAnonymousIds(projectId, userId);
+    
+    // Signed-in records are found by userId, anonymous ones by the anonymous IDs identified as the user
+    function getPersonRecords(collection) {
+        var records = getKeyedRecords(collection, projectId, 'userId', userId);
+        
+        anonymousIds.forEach(function(anonymousId) {
+            records = records.concat(getKeyedRecords(collection, projectId, 'anonymousId', anonymousId).filter(function(record) {
+                return record.userId !== userId;
+            }));
+        });
+        
+        return records.filter(function(record) {
+            return personOf(record) === userId && (!filter || filter(record));
+        }).sort(function(a, b) {
+            return new Date(a.timestamp) - new Date(b.timestamp);
+        });
+    }
+    
+    var userPageViews = getPersonRecords('pageViews');
+    var userEvents = getPersonRecords('events');
+    
+    return {
+        userId: userId,
+        anonymousIds: anonymousIds,
+        pageViews: userPageViews,
+        events: userEvents,
+        totalActions: userPageViews.length + userEvents.length
+    };
+}
+
+/**
+ * Get one page of a project's users, most recently seen first, optionally limited to
+ * users whose ID, name or email contains a search text
+ */
+function getUsersPage(projectId, search, page) {
+    // A search given more than once arrives as a list and is ignored
+    search = typeof search === 'string' ? search : '';
+    var text = search.toLowerCase();
+    
+    var users = getProjectRecords('users', projectId).filter(function(user) {
+        return !text || [user.userId, user.name, user.email].some(function(value) {
+            return String(value || '').toLowerCase().indexOf(text) !== -1;
+        });
+    }).sort(function(a, b) {
+        return a.lastSeen < b.lastSeen ? 1 : a.lastSeen > b.lastSeen ? -1 : 0;
+    });
+    
+    var pages = Math.max(1, Math.ceil(users.length / USERS_PAGE_SIZE));
+    page = Math.min(Math.max(1, page), pages);
+    
+    return {
+        search: search,
+        total: users.length,
+        page: page,
+        pages: pages,
+        users: users.slice((page - 1) * USERS_PAGE_SIZE, page * USERS_PAGE_SIZE)
+    };
+}
+
+/**
+ * Get the timeline of a user: their profile, journey and the sessions it falls into,
+ * most recent session first
+ * Returns null when the project has neither a user record nor activity for the user.
+ */
+function getUserTimeline(projectId, userId, filter) {
+    var journey = getUserJourney(projectId, userId, filter);
+    var user = null;
+    
+    getProjectRecords('users', projectId).forEach(function(candidate) {
+        if (candidate.userId === userId) {
+            user = candidate;
+        }
+    });
+    
+    if (!user && journey.totalActions === 0) {
+        return null;
+    }
+    
+    var actions = journey.pageViews.map(function(pv) {
+        return { type: 'pageview', time: Date.parse(pv.timestamp), record: pv };
+    }).concat(journey.events.map(function(ev) {
+        return { type: 'event', time: Date.parse(ev.timestamp), record: ev };
+    })).sort(function(a, b) {
+        return a.time - b.time;
+    });
+    
+    var sessions = [];
+    var sessionIndex = Object.create(null);
+    actions.forEach(function(action) {
+        var sessionId = action.record.sessionId;
+        
+        if (sessionIndex[sessionId] === undefined) {
+            sessionIndex[sessionId] = sessions.length;
+            sessions.push({ session: findSession(projectId, sessionId) || { id: sessionId }, actions: [] });
+        }
+        sessions[sessionIndex[sessionId]].actions.push(action);
+    });
+    
+    return {
+        user: user,
+        journey: journey,
+        actions: actions,
+        totalSessions: sessions.length,
+        sessions: sessions.reverse().slice(0, TIMELINE_SESSION_LIMIT)
+    };
+}
+
+/**
+ * Get the events of a project within a time range, honoring the segment filter and bot exclusion
+ */
+function getFilteredEvents(projectId, range) {
+    var botSessions = range.excludeBots ? getBotSessions(projectId) : Object.create(null);
+    
+    return getRangeRecords('events', projectId, range).filter(function(ev) {
+        return !botSessions[ev.sessionId] && (!range.filter || range.filter(ev));
+    });
+}
+
+/**
+ * Count each event name of a project within a time range, with the people who triggered
+ * it and when it last happened, most frequent first
+ */
+function getEventSummaries(projectId, range) {
+    var personOf = createPersonResolver(projectId);
+    var summaries = Object.create(null);
+    
+    getFilteredEvents(projectId, range).forEach(function(ev) {
+        var summary = summaries[ev.eventName];
+        
+        if (!summary) {
+            summary = summaries[ev.eventName] = { eventName: ev.eventName, count: 0, people: Object.create(null), lastSeen: null };
+        }
+        summary.count++;
+        summary.people[personOf(ev)] = true;
+        summary.lastSeen = ev.timestamp;
+    });
+    
+    return Object.keys(summaries).map(function(eventName) {
+        var summary = summaries[eventName];
+        return { eventName: eventName, count: summary.count, uniqueUsers: Object.keys(summary.people).length, lastSeen: summary.lastSeen };
+    }).sort(function(a, b) {
+        return b.count - a.count;
+    });
+}
+
+/**
+ * Break the occurrences of one event down: totals, a time series, its most recent
+ * occurrences and, for each property, the most common values (and statistics of numbers)
+ */
+function getEventDetail(projectId, eventName, range) {
+    var personOf = createPersonResolver(projectId);
+    var events = getFilteredEvents(projectId, range).filter(function(ev) {
+        return ev.eventName === eventName;
+    });
+    var people = Object.create(null);
+    var sessions = Object.create(null);
+    var properties = Object.create(null);
+    
+    events.forEach(function(ev) {
+        var flat = flattenRecord(ev.properties || {}, '', {});
+        
+        people[personOf(ev)] = true;
+        sessions[ev.sessionId] = true;
+        
+        for (var name in flat) {
+            var property = properties[name] = properties[name] || { values: [], counts: Object.create(null) };
+            var key = JSON.stringify(flat[name]);
+            
+            property.values.push(flat[name]);
+            property.counts[key] = (property.counts[key] || 0) + 1;
+        }
+    });
+    
+    var breakdowns = Object.keys(properties).map(function(name) {
+        var property = properties[name];
+        var numeric = property.values.every(function(value) {
+            return typeof value === 'number';
+        });
+        var values = Object.keys(property.counts).sort(function(a, b) {
+            return property.counts[b] - property.counts[a];
+        }).slice(0, EVENT_PROPERTY_VALUES).map(function(key) {
+            return {
+                value: JSON.parse(key),
+                count: property.counts[key],
+                percent: Math.round(property.counts[key] / events.length * 10000) / 100
+            };
+        });
+        
+        return {
+            property: name,
+            count: property.values.length,
+            distinctValues: Object.keys(property.counts).length,
+            metrics: numeric ? computeAggregateMetrics(['sum', 'avg', 'min', 'max', 'p50'], property.values, property.values.length) : null,
+            values: values
+        };
+    }).sort(function(a, b) {
+        return b.count - a.count;
+    }).slice(0, EVENT_PROPERTY_LIMIT);
+    
+    return {
+        eventName: eventName,
+        timeRange: range.label,
+        total: events.length,
+        uniqueUsers: Object.keys(people).length,
+        sessions: Object.keys(sessions).length,
+        series: {
+            interval: range.interval,
+            timezone: range.timezone,
+            buckets: buildTimeSeries(createListCounter('pageViews', []), createListCounter('events', events), [], range, [], personOf)
+        },
+        properties: breakdowns,
+        recent: events.slice(-EVENT_RECENT_LIMIT).reverse().map(function(ev) {
+            return { timestamp: ev.timestamp, person: personOf(ev), sessionId: ev.sessionId, properties: ev.properties };
+        })
+    };
+}
+
+/**
+ * Collect everything held about one user of a project, including anonymous activity
+ * identified as theirs
+ * Returns null when there is nothing.
+ */
+function getUserData(projectId, userId) {
+    var data = { user: null, identities: [], pageViews: [], events: [], sessions: [] };
+    var personOf = createPersonResolver(projectId);
+    var found = false;
+    
+    getProjectRecords('users', projectId).forEach(function(user) {
+        if (user.userId === userId) {
+            data.user = user;
+            found = true;
+        }
+    });
+    
+    data.identities = getProjectRecords('identities', projectId).filter(function(identity) {
+        return identity.userId === userId;
+    });
+    found = found || data.identities.length > 0;
+    
+    ['pageViews', 'events', 'sessions'].forEach(function(collection) {
+        data[collection] = getProjectRecords(collection, projectId).filter(function(record) {
+            return personOf(record) === userId;
+        });
+        found = found || data[collection].length > 0;
+    });
+    
+    return found ? data : null;
+}
+
+/**
+ * Delete a user record, their identities and all of their page views, events and sessions
+ * (including anonymous activity identified as theirs), or anonymize them
+ * Anonymizing keeps the activity for statistics under a new random user ID that is not
+ * stored anywhere, and clears the user agent, referrer and event properties. The user
+ * record itself is deleted in both modes. A snapshot is written straight away so the
+ * data is also gone from the change log on disk.
+ * Returns the number of records affected per collection.
+ */
+function deleteUserData(projectId, userId, mode, data) {
+    var anonymousIds = data.identities.map(function(identity) {
+        return identity.anonymousId;
+    });
+    var matches = [{ projectId: projectId, userId: userId }].concat(anonymousIds.map(function(anonymousId) {
+        return { projectId: projectId, anonymousId: anonymousId };
+    }));
+    var counts = {
+        users: data.user ? 1 : 0,
+        identities: data.identities.length,
+        pageViews: data.pageViews.length,
+        events: data.events.length,
+        sessions: data.sessions.length
+    };
+    
+    commitChange({ op: 'remove', collection: 'users', match: matches[0] });
+    commitChange({ op: 'remove', collection: 'identities', match: matches[0] });
+    
+    var replacementId = 'anon_' + generateId();
+    matches.forEach(function(match) {
+        if (mode === 'anonymize') {
+            commitChange({ op: 'update', collection: 'pageViews', match: match, set: { userId: replacementId, anonymousId: null, userAgent: '', referrer: '' } });
+            commitChange({ op: 'update', collection: 'events', match: match, set: { userId: replacementId, anonymousId: null, properties: {} } });
+            commitChange({ op: 'update', collection: 'sessions', match: match, set: { userId: replacementId, anonymousId: null, referrer: '' } });
+        } else {
+            commitChange({ op: 'remove', collection: 'pageViews', match: match });
+            commitChange({ op: 'remove', collection: 'events', match: match });
+            commitChange({ op: 'remove', collection: 'sessions', match: match });
+        }
+    });
+    
+    // Daily rollups keep a hash of each person; anonymized activity stays counted under the new ID
+    var personKey = getRollupPersonKey(projectId, userId);
+    counts.rollups = 0;
+    getProjectRecords('rollups', projectId).forEach(function(rollup) {
+        if (rollup.people.indexOf(personKey) === -1) {
+            return;
+        }
+        
+        var updated = JSON.parse(JSON.stringify(rollup));
+        updated.people = updated.people.filter(function(key) {
+            return key !== personKey;
+        });
+        if (mode === 'anonymize') {
+            updated.people = updated.people.concat(getRollupPersonKey(projectId, replacementId)).sort();
+        }
+        updated.uniqueUsers = updated.people.length;
+        
+        commitChange({ op: 'upsert', collection: 'rollups', match: { projectId: projectId, date: rollup.date }, record: updated });
+        counts.rollups++;
+    });
+    
+    // Recent activity is also kept for live stream reconnects
+    streamBuffer = streamBuffer.filter(function(message) {
+        return message.projectId !== projectId ||
+            (message.data.userId !== userId && anonymousIds.indexOf(message.data.anonymousId) === -1);
+    });
+    
+    writeSnapshot();
+    
+    return counts;
+}
+
+/**
+ * Record a data subject request in the project's audit log
+ */
+function recordAudit(projectId, apiKey, action, userId, details) {
+    var entry = {
+        id: generateId(),
+        projectId: projectId,
+        timestamp: new Date().toISOString(),
+        action: action,
+        userId: userId,
+        keyId: apiKey.id,
+        keyName: apiKey.name,
+        details: details
+    };
+    
+    commitChange({ op: 'insert', collection: 'auditLog', record: entry });
+    return entry;
+}
+
+/**
+ * Get the audit log of a project, newest first, optionally for one action or user
+ */
+function getAuditLog(projectId, query) {
+    return getProjectRecords('auditLog', projectId).filter(function(entry) {
+        return (!query.action || entry.action === query.action) && (!query.userId || entry.userId === query.userId);
+    }).reverse();
+}
+
+/**
+ * Flatten nested objects into dotted keys, e.g. { properties: { plan: 'pro' } }
+ * becomes { 'properties.plan': 'pro' }. Arrays are kept as values.
+ */
+function flattenRecord(record, prefix, flat) {
+    flat = flat || {};
+    
+    for (var key in record) {
+        var value = record[key];
+        
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenRecord(value, prefix + key + '.', flat);
+        } else {
+            flat[prefix + key] = value;
+        }
+    }
+    
+    return flat;
+}
+
+/**
+ * Quote a value for a CSV cell
+ */
+function toCsvCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    
+    var text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    
+    if (/[",\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    
+    return text;
+}
+
+/**
+ * Get the columns of a CSV export: the selected fields, or every flattened key
+ * in the order it first appears
+ */
+function getExportColumns(records, fields) {
+    if (fields) {
+        return fields;
+    }
+    
+    var seen = {};
+    var columns = [];
+    
+    records.forEach(function(record) {
+        for (var key in flattenRecord(record, '')) {
+            if (!seen[key]) {
+                seen[key] = true;
+                columns.push(key);
+            }
+        }
+    });
+    
+    return columns;
+}
+
+/**
+ * Format one exported record as a line of the export format
+ */
+function formatExportRecord(record, format, columns, fields) {
+    if (format === 'csv') {
+        var flat = flattenRecord(record, '');
+        
+        return columns.map(function(column) {
+            return toCsvCell(Object.prototype.hasOwnProperty.call(flat, column) ? flat[column] : getPathValue(record, column));
+        }).join(',') + '\n';
+    }
+    
+    var output = record;
+    if (fields) {
+        output = {};
+        fields.forEach(function(field) {
+            output[field] = getPathValue(record, field);
+        });
+    }
+    
+    return JSON.stringify(output) + (format === 'ndjson' ? '\n' : '');
+}
+
+/**
+ * Stream records as a CSV, NDJSON or JSON download, gzip-compressed when the
+ * client accepts it
+ * Records are written in chunks, waiting for the socket to drain between chunks.
+ */
+function streamExport(req, res, records, options) {
+    var gzip = /\bgzip\b/.test(req.headers['accept-encoding'] || '');
+    var headers = {
+        'Content-Type': EXPORT_FORMATS[options.format],
+        'Content-Disposition': 'attachment; filename="' + options.collection + '.' + options.format + '"',
+        'Vary': 'Accept-Encoding'
+    };
+    
+    if (gzip) {
+        headers['Content-Encoding'] = 'gzip';
+    }
+    
+    res.writeHead(200, headers);
+    
+    var output = res;
+    if (gzip) {
+        output = zlib.createGzip();
+        output.pipe(res);
+    }
+    
+    var columns = options.format === 'csv' ? getExportColumns(records, options.fields) : null;
+    var index = 0;
+    var closed = false;
+    
+    res.on('close', function() {
+        closed = true;
+    });
+    
+    if (options.format === 'csv') {
+        output.write(columns.map(toCsvCell).join(',') + '\n');
+    } else if (options.format === 'json') {
+        output.write('[');
+    }
+    
+    function writeChunk() {
+        if (closed) {
+            return;
+        }
+        
+        var chunk = '';
+        var end = Math.min(index + EXPORT_CHUNK_SIZE, records.length);
+        
+        for (; index < end; index++) {
+            if (options.format === 'json' && index > 0) {
+                chunk += ',\n';
+            }
+            chunk += formatExportRecord(records[index], options.format, columns, options.fields);
+        }
+        
+        if (index >= records.length) {
+            output.end(chunk + (options.format === 'json' ? ']\n' : ''));
+            return;
+        }
+        
+        if (output.write(chunk)) {
+            setImmediate(writeChunk);
+        } else {
+            output.once('drain', writeChunk);
+        }
+    }
+    
+    writeChunk();
+}
+
+/**
+ * Read the export options from a query and collect the records to export
+ * Without hours, from or to every record is exported.
+ * Returns { records, options } or { error } when a parameter is invalid.
+ */
+function prepareExport(projectId, collection, query, timeRange, filter) {
+    var format = query.format || 'csv';
+    
+    if (Object.keys(EXPORT_TIME_FIELDS).indexOf(collection) === -1) {
+        return { error: 'Can only export ' + Object.keys(EXPORT_TIME_FIELDS).join(', ') };
+    }
+    if (Object.keys(EXPORT_FORMATS).indexOf(format) === -1) {
+        return { error: 'format must be one of: ' + Object.keys(EXPORT_FORMATS).join(', ') };
+    }
+    if ((query.hours || query.from || query.to) && timeRange.error) {
+        return { error: timeRange.error };
+    }
+    if (query.fields !== undefined && typeof query.fields !== 'string') {
+        return { error: 'fields must be given once, as a comma-separated list' };
+    }
+    
+    var fields = query.fields ? query.fields.split(',').map(function(field) {
+        return field.trim();
+    }).filter(function(field) {
+        return field.length > 0;
+    }) : null;
+    var records = getTrackedData(projectId, filter)[collection];
+    
+    if (query.hours || query.from || query.to) {
+        var from = new Date(timeRange.options.from).toISOString();
+        var to = new Date(timeRange.options.to).toISOString();
+        var timeField = EXPORT_TIME_FIELDS[collection];
+        
+        records = records.filter(function(record) {
+            return record[timeField] >= from && record[timeField] < to;
+        });
+    }
+    
+    return {
+        records: records,
+        options: { collection: collection, format: format, fields: fields && fields.length > 0 ? fields : null }
+    };
+}
+
+/**
+ * Read a value from an object by a dotted path such as "plan" or "address.city"
+ * Only own members are followed, so a path such as "toString" finds nothing.
+ */
+function getPathValue(object, path) {
+    var parts = path.split('.');
+    var value = object;
+    
+    for (var i = 0; i < parts.length; i++) {
+        if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, parts[i])) {
+            return undefined;
+        }
+        value = value[parts[i]];
+    }
+    
+    return value;
+}
+
+/**
+ * Turn a page path pattern with * wildcards into a regular expression
+ */
+function pathPatternToRegExp(pattern) {
+    var escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp('^' + escaped + '$');
+}
+
+/**
+ * Validate a funnel definition, returning a list of field errors
+ */
+function validateFunnelDefinition(data) {
+    var errors = validateSchema(FUNNEL_SCHEMA, data);
+    
+    if (!Array.isArray(data.steps)) {
+        return errors;
+    }
+    
+    if (data.steps.length < 2 || data.steps.length > MAX_FUNNEL_STEPS) {
+        errors.push({ field: 'steps', message: 'must have between 2 and ' + MAX_FUNNEL_STEPS + ' steps' });
+    }
+    
+    data.steps.forEach(function(step, index) {
+        var prefix = 'steps.' + index + '.';
+        
+        if (!step || Object.keys(FUNNEL_STEP_SCHEMAS).indexOf(step.type) === -1) {
+            errors.push({ field: prefix + 'type', message: 'must be one of: ' + Object.keys(FUNNEL_STEP_SCHEMAS).join(', ') });
+            return;
+        }
+        
+        errors = errors.concat(validateSchema(FUNNEL_STEP_SCHEMAS[step.type], step, prefix));
+        
+        for (var property in step.properties || {}) {
+            if (step.properties[property] !== null && typeof step.properties[property] === 'object') {
+                errors.push({ field: prefix + 'properties.' + property, message: 'must be a string, number or boolean' });
+            }
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Create a funnel in a project
+ */
+function createFunnel(projectId, data) {
+    var funnel = {
+        id: generateId(),
+        projectId: projectId,
+        name: data.name,
+        steps: data.steps.map(function(step) {
+            return step.type === 'page' ?
+                { type: 'page', path: step.path } :
+                { type: 'event', eventName: step.eventName, properties: step.properties || {} };
+        }),
+        conversionWindowHours: data.conversionWindowHours || 24,
+        createdAt: new Date().toISOString()
+    };
+    
+    commitChange({ op: 'insert', collection: 'funnels', record: funnel });
+    return funnel;
+}
+
+/**
+ * Find a funnel of a project by ID
+ */
+function findFunnel(projectId, funnelId) {
+    for (var i = 0; i < analyticsData.funnels.length; i++) {
+        if (analyticsData.funnels[i].id === funnelId && analyticsData.funnels[i].projectId === projectId) {
+            return analyticsData.funnels[i];
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Delete a funnel
+ */
+function deleteFunnel(funnel) {
+    commitChange({ op: 'remove', collection: 'funnels', match: { projectId: funnel.projectId, id: funnel.id } });
+}
+
+/**
+ * Describe a funnel step for display
+ */
+function describeFunnelStep(step) {
+    return step.type === 'page' ? 'Page ' + step.path : 'Event ' + step.eventName;
+}
+
+/**
+ * Check whether a page view or event matches a funnel step
+ */
+function matchesFunnelStep(step, action) {
+    if (step.type === 'page') {
+        return action.page !== undefined && step.pathRegExp.test(action.page);
+    }
+    
+    if (action.eventName !== step.eventName) {
+        return false;
+    }
+    
+    for (var property in step.properties) {
+        if (String(getPathValue(action.properties, property)) !== String(step.properties[property])) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Get the median of a list of numbers
+ */
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    
+    var sorted = values.slice().sort(function(a, b) {
+        return a - b;
+    });
+    var middle = Math.floor(sorted.length / 2);
+    
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Follow one person's time-ordered actions through the funnel steps
+ * Every occurrence of the first step is tried as a starting point and the attempt that
+ * gets furthest wins. Returns the times at which each reached step was completed.
+ */
+function walkFunnel(steps, actions, windowMs) {
+    var best = [];
+    
+    actions.forEach(function(action, startIndex) {
+        if (!matchesFunnelStep(steps[0], action)) {
+            return;
+        }
+        
+        var times = [action.time];
+        var deadline = action.time + windowMs;
+        
+        for (var i = startIndex + 1; i < actions.length && times.length < steps.length; i++) {
+            if (actions[i].time > deadline) {
+                break;
+            }
+            if (matchesFunnelStep(steps[times.length], actions[i])) {
+                times.push(actions[i].time);
+            }
+        }
+        
+        if (times.length > best.length) {
+            best = times;
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Analyze a funnel over a time range
+ * People are identified by user ID, anonymous activity by session.
+ */
+function analyzeFunnel(funnel, range) {
+    var windowMs = funnel.conversionWindowHours * 60 * 60 * 1000;
+    var personOf = createPersonResolver(funnel.projectId);
+    var actionsByPerson = Object.create(null);
+    
+    var steps = funnel.steps.map(function(step) {
+        return step.type === 'page' ? { type: 'page', pathRegExp: pathPatternToRegExp(step.path) } : step;
+    });
+    
+    ['pageViews', 'events'].forEach(function(collection) {
+        getRangeRecords(collection, funnel.projectId, range).forEach(function(record) {
+            var time = new Date(record.timestamp).getTime();
+            var person = personOf(record);
+            (actionsByPerson[person] = actionsByPerson[person] || []).push({
+                time: time,
+                page: record.page,
+                eventName: record.eventName,
+                properties: record.properties
+            });
+        });
+    });
+    
+    var counts = funnel.steps.map(function() {
+        return 0;
+    });
+    var stepDurations = funnel.steps.map(function() {
+        return [];
+    });
+    
+    for (var person in actionsByPerson) {
+        var actions = actionsByPerson[person].sort(function(a, b) {
+            return a.time - b.time;
+        });
+        var times = walkFunnel(steps, actions, windowMs);
+        
+        times.forEach(function(time, index) {
+            counts[index]++;
+            if (index > 0) {
+                stepDurations[index].push((time - times[index - 1]) / 1000);
+            }
+        });
+    }
+    
+    return {
+        funnelId: funnel.id,
+        name: funnel.name,
+        timeRange: range.label,
+        conversionWindowHours: funnel.conversionWindowHours,
+        steps: funnel.steps.map(function(step, index) {
+            var previous = index > 0 ? counts[index - 1] : counts[0];
+            
+            return {
+                step: index + 1,
+                label: describeFunnelStep(step),
+                count: counts[index],
+                conversionRate: previous ? Math.round(counts[index] / previous * 10000) / 100 : 0,
+                overallConversionRate: counts[0] ? Math.round(counts[index] / counts[0] * 10000) / 100 : 0,
+                dropOff: index > 0 ? counts[index - 1] - counts[index] : 0,
+                medianSecondsFromPreviousStep: median(stepDurations[index])
+            };
+        })
+    };
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * Uses the Abramowitz and Stegun approximation of erf (7.1.26), accurate to about 1e-7.
+ */
+function normalCdf(z) {
+    var x = Math.abs(z) / Math.SQRT2;
+    var t = 1 / (1 + 0.3275911 * x);
+    var erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Get the z value that a two-sided interval at a confidence level reaches, e.g. 1.96 for 0.95
+ */
+function normalCritical(confidence) {
+    var target = 1 - (1 - confidence) / 2;
+    var low = 0;
+    var high = 10;
+    
+    for (var i = 0; i < 60; i++) {
+        var middle = (low + high) / 2;
+        if (normalCdf(middle) < target) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    
+    return (low + high) / 2;
+}
+
+/**
+ * Get the Wilson score interval of a conversion rate, which stays within 0 and 1 for small samples
+ */
+function wilsonInterval(conversions, exposures, z) {
+    if (exposures === 0) {
+        return { low: 0, high: 0 };
+    }
+    
+    var rate = conversions / exposures;
+    var denominator = 1 + z * z / exposures;
+    var center = (rate + z * z / (2 * exposures)) / denominator;
+    var half = z * Math.sqrt(rate * (1 - rate) / exposures + z * z / (4 * exposures * exposures)) / denominator;
+    
+    return { low: Math.max(0, center - half), high: Math.min(1, center + half) };
+}
+
+/**
+ * Compare the conversion rate of a variant with the control's: the difference with its
+ * confidence interval, the relative lift, and a two-proportion z-test
+ */
+function compareProportions(control, variant, z, confidence) {
+    var controlRate = control.exposures ? control.conversions / control.exposures : 0;
+    var variantRate = variant.exposures ? variant.conversions / variant.exposures : 0;
+    var difference = variantRate - controlRate;
+    
+    // The interval of the difference uses each variant's own variance, the test the pooled rate
+    var standardError = control.exposures && variant.exposures ?
+        Math.sqrt(controlRate * (1 - controlRate) / control.exposures + variantRate * (1 - variantRate) / variant.exposures) : 0;
+    var pooled = control.exposures + variant.exposures ? (control.conversions + variant.conversions) / (control.exposures + variant.exposures) : 0;
+    var pooledError = control.exposures && variant.exposures ?
+        Math.sqrt(pooled * (1 - pooled) * (1 / control.exposures + 1 / variant.exposures)) : 0;
+    var zScore = pooledError ? difference / pooledError : 0;
+    var pValue = 2 * (1 - normalCdf(Math.abs(zScore)));
+    
+    return {
+        difference: roundPercent(difference),
+        differenceInterval: { low: roundPercent(difference - z * standardError), high: roundPercent(difference + z * standardError) },
+        lift: controlRate ? roundPercent(difference / controlRate) : null,
+        liftInterval: controlRate ? { low: roundPercent((difference - z * standardError) / controlRate), high: roundPercent((difference + z * standardError) / controlRate) } : null,
+        zScore: Math.round(zScore * 1000) / 1000,
+        pValue: Math.round(pValue * 10000) / 10000,
+        significant: pooledError > 0 && pValue < 1 - confidence
+    };
+}
+
+/**
+ * Turn a share into a percentage with two decimals
+ */
+function roundPercent(share) {
+    return Math.round(share * 10000) / 100;
+}
+
+/**
+ * Get the exposures of a project, optionally of one experiment, within an optional time range
+ */
+function getExposures(projectId, experimentId, range) {
+    var botSessions = range && range.excludeBots ? getBotSessions(projectId) : Object.create(null);
+    
+    return getKeyedRecords('events', projectId, 'eventName', EXPERIMENT_EXPOSURE_EVENT).filter(function(ev) {
+        var time = new Date(ev.timestamp).getTime();
+        
+        return ev.properties && typeof ev.properties.experimentId === 'string' && typeof ev.properties.variant === 'string' &&
+            (!experimentId || ev.properties.experimentId === experimentId) && !botSessions[ev.sessionId] &&
+            (!range || !range.from || (time >= range.from && time < range.to));
+    }).sort(function(a, b) {
+        return new Date(a.timestamp) - new Date(b.timestamp);
+    });
+}
+
+/**
+ * List the experiments of a project with the people exposed to each variant, most recently
+ * exposed first
+ */
+function listExperiments(projectId) {
+    var personOf = createPersonResolver(projectId);
+    var runningSince = Date.now() - EXPERIMENT_RUNNING_DAYS * 24 * 60 * 60 * 1000;
+    var experiments = Object.create(null);
+    
+    getExposures(projectId, null, null).forEach(function(ev) {
+        var experiment = experiments[ev.properties.experimentId];
+        
+        if (!experiment) {
+            experiment = experiments[ev.properties.experimentId] = { variants: Object.create(null), people: Object.create(null), firstExposure: ev.timestamp, lastExposure: null };
+        }
+        experiment.variants[ev.properties.variant] = experiment.variants[ev.properties.variant] || Object.create(null);
+        experiment.variants[ev.properties.variant][personOf(ev)] = true;
+        experiment.people[personOf(ev)] = true;
+        experiment.lastExposure = ev.timestamp;
+    });
+    
+    return Object.keys(experiments).map(function(experimentId) {
+        var experiment = experiments[experimentId];
+        
+        return {
+            experimentId: experimentId,
+            running: new Date(experiment.lastExposure).getTime() >= runningSince,
+            exposures: Object.keys(experiment.people).length,
+            variants: Object.keys(experiment.variants).sort().map(function(variant) {
+                return { variant: variant, exposures: Object.keys(experiment.variants[variant]).length };
+            }),
+            firstExposure: experiment.firstExposure,
+            lastExposure: experiment.lastExposure
+        };
+    }).sort(function(a, b) {
+        return a.lastExposure < b.lastExposure ? 1 : a.lastExposure > b.lastExposure ? -1 : 0;
+    });
+}
+
+/**
+ * Read the options of an experiment analysis from a query
+ * Returns { options } or { error } when a parameter is invalid.
+ */
+function parseExperimentQuery(query) {
+    var confidence = query.confidence === undefined ? EXPERIMENT_CONFIDENCE : parseFloat(query.confidence);
+    
+    if (query.goal !== undefined && (typeof query.goal !== 'string' || !query.goal)) {
+        return { error: 'goal must be an event name' };
+    }
+    if (query.control !== undefined && typeof query.control !== 'string') {
+        return { error: 'control may only be given once' };
+    }
+    if (!(confidence >= 0.5 && confidence <= 0.999)) {
+        return { error: 'confidence must be between 0.5 and 0.999' };
+    }
+    
+    return { options: { goal: query.goal || EXPERIMENT_GOAL_EVENT, control: query.control || null, confidence: confidence } };
+}
+
+/**
+ * Compare the variants of an experiment on a goal event
+ * Each person counts in the variant of their first exposure, and converts when they trigger
+ * the goal at or after it. People exposed to more than one variant are left out, since
+ * either variant could have led to their conversion. The control is the variant named in
+ * the options, else one named "control", else the first by name.
+ * The range is optional; without from and to every exposure counts.
+ * Returns null when the experiment has no exposures, or { error } for an unknown control.
+ */
+function analyzeExperiment(projectId, experimentId, options, range) {
+    var exposures = getExposures(projectId, experimentId, range);
+    
+    if (exposures.length === 0) {
+        return null;
+    }
+    
+    var personOf = createPersonResolver(projectId);
+    var people = Object.create(null);
+    
+    exposures.forEach(function(ev) {
+        var person = personOf(ev);
+        var entry = people[person];
+        
+        if (!entry) {
+            people[person] = { variant: ev.properties.variant, exposedAt: new Date(ev.timestamp).getTime(), mixed: false };
+        } else if (entry.variant !== ev.properties.variant) {
+            entry.mixed = true;
+        }
+    });
+    
+    var botSessions = range && range.excludeBots ? getBotSessions(projectId) : Object.create(null);
+    var converted = Object.create(null);
+    getKeyedRecords('events', projectId, 'eventName', options.goal).forEach(function(ev) {
+        var person = personOf(ev);
+        var time = new Date(ev.timestamp).getTime();
+        
+        if (people[person] && time >= people[person].exposedAt && !botSessions[ev.sessionId] && (!range || !range.from || time < range.to)) {
+            converted[person] = true;
+        }
+    });
+    
+    var variants = Object.create(null);
+    var excluded = 0;
+    for (var person in people) {
+        if (people[person].mixed) {
+            excluded++;
+            continue;
+        }
+        
+        var variant = variants[people[person].variant] = variants[people[person].variant] || { exposures: 0, conversions: 0 };
+        variant.exposures++;
+        if (converted[person]) {
+            variant.conversions++;
+        }
+    }
+    
+    var names = Object.keys(variants).sort();
+    var control = options.control || (variants.control ? 'control' : names[0]);
+    
+    if (!variants[control]) {
+        return { error: 'Unknown control variant "' + control + '", the variants are: ' + names.join(', ') };
+    }
+    
+    var z = normalCritical(options.confidence);
+    
+    return {
+        experimentId: experimentId,
+        goal: options.goal,
+        control: control,
+        confidence: options.confidence,
+        timeRange: range && range.from ? range.label : 'all time',
+        firstExposure: exposures[0].timestamp,
+        lastExposure: exposures[exposures.length - 1].timestamp,
+        excludedPeople: excluded,
+        variants: names.map(function(name) {
+            var variant = variants[name];
+            var interval = wilsonInterval(variant.conversions, variant.exposures, z);
+            
+            return {
+                variant: name,
+                control: name === control,
+                exposures: variant.exposures,
+                conversions: variant.conversions,
+                conversionRate: roundPercent(variant.exposures ? variant.conversions / variant.exposures : 0),
+                confidenceInterval: { low: roundPercent(interval.low), high: roundPercent(interval.high) },
+                comparison: name === control ? null : compareProportions(variants[control], variant, z, options.confidence)
+            };
+        })
+    };
+}
+
+/**
+ * Read the options of a path analysis from a query
+ * Returns { options } or { error } when a parameter is invalid.
+ */
+function parsePathQuery(query) {
+    var depth = query.depth === undefined ? 3 : parseInt(query.depth, 10);
+    var limit = query.limit === undefined ? 10 : parseInt(query.limit, 10);
+    
+    if (!query.start === !query.end) {
+        return { error: 'Pass either start (paths after a page or event) or end (paths leading to one)' };
+    }
+    if (!(depth >= 1 && depth <= MAX_PATH_DEPTH)) {
+        return { error: 'depth must be between 1 and ' + MAX_PATH_DEPTH };
+    }
+    if (!(limit >= 1 && limit <= MAX_PATH_RESULTS)) {
+        return { error: 'limit must be between 1 and ' + MAX_PATH_RESULTS };
+    }
+    
+    return {
+        options: {
+            anchor: String(query.start || query.end),
+            reverse: !query.start,
+            depth: depth,
+            limit: limit,
+            events: query.events !== 'false'
+        }
+    };
+}
+
+/**
+ * Create a test for the step a path starts or ends at
+ * "event:<name>" matches that event, anything else a page path where * matches any characters.
+ */
+function createPathAnchor(anchor) {
+    if (anchor.indexOf('event:') === 0) {
+        return function(label) {
+            return label === anchor;
+        };
+    }
+    
+    var pathRegExp = pathPatternToRegExp(anchor);
+    return function(label) {
+        return label.indexOf('event:') !== 0 && pathRegExp.test(label);
+    };
+}
+
+/**
+ * Get each session's time-ordered steps: page paths, and "event:<name>" for events
+ * Repeats of the same step in a row, such as reloads, count once.
+ */
+function getSessionSteps(projectId, range, includeEvents) {
+    var botSessions = range.excludeBots ? getBotSessions(projectId) : Object.create(null);
+    var actions = Object.create(null);
+    
+    function addAction(record, label) {
+        if (botSessions[record.sessionId] || (range.filter && !range.filter(record))) {
+            return;
+        }
+        if (!actions[record.sessionId]) {
+            actions[record.sessionId] = [];
+        }
+        actions[record.sessionId].push({ label: label, time: Date.parse(record.timestamp) });
+    }
+    
+    getRangeRecords('pageViews', projectId, range).forEach(function(pv) {
+        addAction(pv, pv.page);
+    });
+    if (includeEvents) {
+        getRangeRecords('events', projectId, range).forEach(function(ev) {
+            addAction(ev, 'event:' + ev.eventName);
+        });
+    }
+    
+    return Object.keys(actions).map(function(sessionId) {
+        var steps = [];
+        
+        actions[sessionId].sort(function(a, b) {
+            return a.time - b.time;
+        }).forEach(function(action) {
+            if (steps[steps.length - 1] !== action.label) {
+                steps.push(action.label);
+            }
+        });
+        
+        return steps;
+    });
+}
+
+/**
+ * Count labels and list them most common first
+ */
+function rankLabels(labels) {
+    var counts = Object.create(null);
+    
+    labels.forEach(function(label) {
+        counts[label] = (counts[label] || 0) + 1;
+    });
+    
+    return Object.keys(counts).map(function(label) {
+        return { label: label, sessions: counts[label] };
+    }).sort(function(a, b) {
+        return b.sessions - a.sessions;
+    });
+}
+
+/**
+ * Find the most common paths after (or, in reverse, before) a page or event
+ * Each session counts once, from the first time it reaches the start step or up to the
+ * last time it reaches the end step. Sequences are walked away from that anchor step, so
+ * depth 1 is the step right after the start, or right before the end.
+ */
+function analyzePaths(projectId, options, range) {
+    var matchesAnchor = createPathAnchor(options.anchor);
+    var sequences = [];
+    
+    getSessionSteps(projectId, range, options.events).forEach(function(steps) {
+        var index = -1;
+        
+        for (var i = 0; i < steps.length; i++) {
+            if (matchesAnchor(steps[i])) {
+                index = i;
+                if (!options.reverse) {
+                    break;
+                }
+            }
+        }
+        
+        if (index === -1) {
+            return;
+        }
+        
+        sequences.push(options.reverse ?
+            steps.slice(Math.max(0, index - options.depth), index + 1).reverse() :
+            steps.slice(index, index + options.depth + 1));
+    });
+    
+    // The most common steps at each depth keep their name, the rest are counted as "(other)"
+    var levels = [];
+    for (var depth = 0; depth <= options.depth; depth++) {
+        var reached = sequences.filter(function(sequence) {
+            return sequence.length > depth;
+        });
+        var ranked = rankLabels(reached.map(function(sequence) {
+            return sequence[depth];
+        }));
+        var nodes = ranked.slice(0, PATH_NODES_PER_STEP);
+        var shown = Object.create(null);
+        var other = reached.length;
+        
+        nodes.forEach(function(node) {
+            shown[node.label] = true;
+            other -= node.sessions;
+        });
+        if (other > 0) {
+            nodes.push({ label: PATH_OTHER_LABEL, sessions: other });
+        }
+        
+        levels.push({
+            depth: depth,
+            sessions: reached.length,
+            dropOff: depth > 0 ? levels[depth - 1].sessions - reached.length : 0,
+            nodes: nodes,
+            shown: shown
+        });
+    }
+    
+    function nodeName(depth, label) {
+        return levels[depth].shown[label] ? label : PATH_OTHER_LABEL;
+    }
+    
+    // Links point forward in time, so in reverse they lead from depth i to depth i - 1
+    var linkCounts = {};
+    sequences.forEach(function(sequence) {
+        for (var i = 1; i < sequence.length; i++) {
+            var nearer = nodeName(i - 1, sequence[i - 1]);
+            var further = nodeName(i, sequence[i]);
+            var key = JSON.stringify(options.reverse ? [i, further, nearer] : [i, nearer, further]);
+            linkCounts[key] = (linkCounts[key] || 0) + 1;
+        }
+    });
+    
+    var paths = rankLabels(sequences.map(function(sequence) {
+        return JSON.stringify(options.reverse ? sequence.slice().reverse() : sequence);
+    })).slice(0, options.limit).map(function(entry) {
+        return {
+            path: JSON.parse(entry.label),
+            sessions: entry.sessions,
+            percent: Math.round(entry.sessions / sequences.length * 10000) / 100
+        };
+    });
+    
+    return {
+        timeRange: range.label,
+        from: new Date(range.from).toISOString(),
+        to: new Date(range.to).toISOString(),
+        where: range.where || null,
+        mode: options.reverse ? 'reverse' : 'forward',
+        anchor: options.anchor,
+        depth: options.depth,
+        sessions: sequences.length,
+        steps: levels.map(function(level) {
+            return { depth: level.depth, sessions: level.sessions, dropOff: level.dropOff, nodes: level.nodes };
+        }),
+        links: Object.keys(linkCounts).map(function(key) {
+            var link = JSON.parse(key);
+            return { depth: link[0], from: link[1], to: link[2], sessions: linkCounts[key] };
+        }).sort(function(a, b) {
+            return a.depth - b.depth || b.sessions - a.sessions;
+        }),
+        paths: paths
+    };
+}
+
+/**
+ * Validate an alert rule, returning a list of field errors
+ */
+function validateAlertRule(data) {
+    var errors = validateSchema(ALERT_RULE_SCHEMA, data);
+    
+    if (data.eventName !== undefined && data.eventName !== null && data.metric !== 'events') {
+        errors.push({ field: 'eventName', message: 'is only allowed with the events metric' });
+    }
+    var webhookUrlChecked = errors.some(function(error) {
+        return error.field === 'webhookUrl';
+    });
+    if (!webhookUrlChecked && !isWebhookUrl(data.webhookUrl)) {
+        errors.push({ field: 'webhookUrl', message: 'must be a valid http or https URL' });
+    }
+    
+    return errors;
+}
+
+/**
+ * Check that a webhook URL parses, with an http or https protocol and a usable port
+ */
+function isWebhookUrl(value) {
+    var target;
+    try {
+        target = new URL(value);
+    } catch (error) {
+        return false;
+    }
+    
+    var port = target.port === '' ? null : parseInt(target.port, 10);
+    return (target.protocol === 'http:' || target.protocol === 'https:') && target.hostname !== '' &&
+        (port === null || (port >= 1 && port <= 65535));
+}
+
+/**
+ * Copy the definition fields of an alert rule, with defaults for those left out
+ */
+function buildAlertDefinition(data) {
+    return {
+        name: data.name,
+        metric: data.metric,
+        eventName: data.eventName || null,
+        operator: data.operator,
+        threshold: data.threshold,
+        windowMinutes: data.windowMinutes || 60,
+        compareTo: data.compareTo || null,
+        webhookUrl: data.webhookUrl,
+        cooldownMinutes: data.cooldownMinutes === undefined ? 60 : data.cooldownMinutes,
+        enabled: data.enabled !== false
+    };
+}
+
+/**
+ * Create an alert rule in a project
+ */
+function createAlertRule(projectId, data) {
+    var rule = buildAlertDefinition(data);
+    
+    rule.id = generateId();
+    rule.projectId = projectId;
+    rule.state = 'ok';
+    rule.lastValue = null;
+    rule.lastEvaluatedAt = null;
+    rule.lastNotifiedAt = null;
+    rule.notified = false;
+    rule.createdAt = new Date().toISOString();
+    
+    commitChange({ op: 'insert', collection: 'alertRules', record: rule });
+    return rule;
+}
+
+/**
+ * Find an alert rule of a project by ID
+ */
+function findAlertRule(projectId, ruleId) {
+    for (var i = 0; i < analyticsData.alertRules.length; i++) {
+        if (analyticsData.alertRules[i].id === ruleId && analyticsData.alertRules[i].projectId === projectId) {
+            return analyticsData.alertRules[i];
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Merge changed fields into the definition of an alert rule; fields left out keep their value
+ */
+function mergeAlertRule(rule, data) {
+    var merged = {};
+    
+    for (var field in ALERT_RULE_SCHEMA) {
+        merged[field] = data[field] !== undefined ? data[field] : rule[field];
+    }
+    
+    return merged;
+}
+
+/**
+ * Change the definition of an alert rule; a disabled rule goes back to the ok state
+ */
+function updateAlertRule(rule, definition) {
+    var set = buildAlertDefinition(definition);
+    
+    if (!set.enabled) {
+        set.state = 'ok';
+        set.notified = false;
+    }
+    
+    commitChange({ op: 'update', collection: 'alertRules', match: { projectId: rule.projectId, id: rule.id }, set: set });
+    return findAlertRule(rule.projectId, rule.id);
+}
+
+/**
+ * Delete an alert rule; its history is kept
+ */
+function deleteAlertRule(rule) {
+    commitChange({ op: 'remove', collection: 'alertRules', match: { projectId: rule.projectId, id: rule.id } });
+}
+
+/**
+ * Describe the condition of an alert rule for display
+ */
+function describeAlertRule(rule) {
+    var subject = rule.metric === 'events' && rule.eventName ? rule.eventName + ' events' : ALERT_METRICS[rule.metric];
+    var span = ' in the last ' + rule.windowMinutes + ' minutes';
+    
+    if (rule.compareTo) {
+        return subject + span + ' vs. ' + ALERT_COMPARISONS[rule.compareTo] + ' ' + rule.operator + ' ' + rule.threshold + '% change';
+    }
+    
+    return subject + span + ' ' + rule.operator + ' ' + rule.threshold;
+}
+
+/**
+ * Read the value an alert rule watches from the statistics of a time range
+ * Page view and event counts come straight from the day counters and rollups.
+ */
+function measureAlertMetric(rule, from, to) {
+    if (rule.metric === 'pageViews' || rule.metric === 'events') {
+        var counted = countRangeRecords(rule.metric, rule.projectId, { from: from, to: to });
+        
+        getRollups(rule.projectId, { from: from, to: to }).forEach(function(rollup) {
+            counted.total += rollup[rule.metric];
+            if (rule.metric === 'events') {
+                addCounts(counted.counts.eventName, rollup.eventNames);
+            }
+        });
+        
+        return rule.metric === 'events' && rule.eventName ? counted.counts.eventName[rule.eventName] || 0 : counted.total;
+    }
+    
+    var range = parseTimeRangeQuery({ from: new Date(from).toISOString(), to: new Date(to).toISOString() });
+    var stats = getStatistics(rule.projectId, range.options);
+    
+    return stats[ALERT_METRIC_FIELDS[rule.metric]];
+}
+
+/**
+ * Measure an alert rule at a point in time
+ * With a comparison the value is the percent change against the same window earlier,
+ * which is null when that window has nothing to compare against.
+ */
+function measureAlertRule(rule, now) {
+    var windowMs = rule.windowMinutes * 60 * 1000;
+    var current = measureAlertMetric(rule, now - windowMs, now);
+    
+    if (!rule.compareTo) {
+        return { value: current, current: current, baseline: null };
+    }
+    
+    var offset = ALERT_COMPARISON_OFFSETS[rule.compareTo] || windowMs;
+    var baseline = measureAlertMetric(rule, now - offset - windowMs, now - offset);
+    
+    return {
+        value: baseline ? Math.round((current - baseline) / baseline * 10000) / 100 : null,
+        current: current,
+        baseline: baseline
+    };
+}
+
+/**
+ * Check a measured value against the operator and threshold of a rule
+ */
+function isAlertConditionMet(rule, value) {
+    if (value === null) {
+        return false;
+    }
+    if (rule.operator === '<') {
+        return value < rule.threshold;
+    }
+    if (rule.operator === '<=') {
+        return value <= rule.threshold;
+    }
+    if (rule.operator === '>') {
+        return value > rule.threshold;
+    }
+    
+    return value >= rule.threshold;
+}
+
+/**
+ * Evaluate one alert rule, recording and notifying a change between ok and firing
+ * A rule that fires again within its cooldown of the last notification is recorded
+ * but not notified, and neither is its resolution.
+ */
+function evaluateAlertRule(rule, now) {
+    var measured = measureAlertRule(rule, now);
+    var firing = isAlertConditionMet(rule, measured.value);
+    var at = new Date(now).toISOString();
+    var set = { lastValue: measured.value, lastEvaluatedAt: at };
+    
+    if (firing && rule.state !== 'firing') {
+        var notify = !rule.lastNotifiedAt || now - Date.parse(rule.lastNotifiedAt) >= rule.cooldownMinutes * 60 * 1000;
+        
+        set.state = 'firing';
+        set.notified = notify;
+        if (notify) {
+            set.lastNotifiedAt = at;
+        }
+        recordAlert(rule, 'firing', measured, at, notify);
+    } else if (!firing && rule.state === 'firing') {
+        set.state = 'ok';
+        set.notified = false;
+        recordAlert(rule, 'resolved', measured, at, rule.notified);
+    }
+    
+    commitChange({ op: 'update', collection: 'alertRules', match: { projectId: rule.projectId, id: rule.id }, set: set });
+}
+
+/**
+ * Evaluate every enabled alert rule
+ */
+function evaluateAlertRules() {
+    var now = Date.now();
+    
+    analyticsData.alertRules.forEach(function(rule) {
+        if (rule.enabled) {
+            evaluateAlertRule(rule, now);
+        }
+    });
+}
+
+/**
+ * Add a firing or resolved alert to the history and send its webhook
+ * Only the newest ALERT_HISTORY_LIMIT entries of a project are kept.
+ */
+function recordAlert(rule, state, measured, at, notify) {
+    var alert = {
+        id: generateId(),
+        projectId: rule.projectId,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        condition: describeAlertRule(rule),
+        state: state,
+        value: measured.value,
+        current: measured.current,
+        baseline: measured.baseline,
+        at: at,
+        delivery: notify ? 'pending' : 'suppressed',
+        attempts: 0,
+        error: null
+    };
+    
+    commitChange({ op: 'insert', collection: 'alertHistory', record: alert });
+    
+    var history = getProjectRecords('alertHistory', rule.projectId);
+    history.slice(0, Math.max(0, history.length - ALERT_HISTORY_LIMIT)).forEach(function(old) {
+        commitChange({ op: 'remove', collection: 'alertHistory', match: { projectId: old.projectId, id: old.id } });
+    });
+    
+    if (notify) {
+        deliverAlert(rule.webhookUrl, alert, {
+            id: alert.id,
+            state: state,
+            projectId: rule.projectId,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            condition: alert.condition,
+            metric: rule.metric,
+            eventName: rule.eventName,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            windowMinutes: rule.windowMinutes,
+            compareTo: rule.compareTo,
+            value: measured.value,
+            current: measured.current,
+            baseline: measured.baseline,
+            at: at
+        }, 0);
+    }
+}
+
+/**
+ * POST an alert to its webhook, retrying failures with exponential backoff
+ * The delivery status of the history entry is updated after every attempt.
+ */
+function deliverAlert(webhookUrl, alert, payload, attempt) {
+    var body = JSON.stringify(payload);
+    var target = url.parse(webhookUrl);
+    var finished = false;
+    
+    function complete(error) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        
+        var retry = error && attempt < ALERT_WEBHOOK_RETRIES;
+        
+        commitChange({
+            op: 'update',
+            collection: 'alertHistory',
+            match: { projectId: alert.projectId, id: alert.id },
+            set: {
+                delivery: error ? (retry ? 'retrying' : 'failed') : 'delivered',
+                attempts: attempt + 1,
+                error: error ? error.message : null
+            }
+        });
+        
+        if (retry) {
+            setTimeout(function() {
+                deliverAlert(webhookUrl, alert, payload, attempt + 1);
+            }, ALERT_RETRY_DELAY_SECONDS * Math.pow(2, attempt) * 1000);
+        } else if (error) {
+            console.error('Alert webhook to ' + target.host + ' failed:', error.message);
+        }
+    }
+    
+    var req = (target.protocol === 'https:' ? https : http).request({
+        hostname: target.hostname,
+        port: target.port,
+        path: target.path,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'DataAnalyticsPlatform-Alerts'
+        }
+    }, function(res) {
+        res.resume();
+        complete(res.statusCode >= 200 && res.statusCode < 300 ? null : new Error('Webhook answered ' + res.statusCode));
+    });
+    
+    req.setTimeout(ALERT_WEBHOOK_TIMEOUT_SECONDS * 1000, function() {
+        req.destroy(new Error('Webhook timed out'));
+    });
+    req.on('error', complete);
+    req.end(body);
+}
+
+
+/**
+ * Get the alert history of a project, newest first
+ */
+function getAlertHistory(projectId, query) {
+    var limit = Math.min(parseInt(query.limit, 10) || 100, ALERT_HISTORY_LIMIT);
+    
+    return getProjectRecords('alertHistory', projectId).filter(function(alert) {
+        return (!query.ruleId || alert.ruleId === query.ruleId) && (!query.state || alert.state === query.state);
+    }).reverse().slice(0, limit);
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ */
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Fill in an HTML template
+ * {{name}} is replaced by the value escaped, so tracked data such as page paths and event
+ * names can never inject markup. {{{name}}} inserts the value as it is, and is only for
+ * HTML rendered by another template. Missing values render as nothing.
+ */
+function renderTemplate(template, values) {
+    return template.replace(/\{\{(\{?)(\w+)\}?\}\}/g, function(match, raw, name) {
+        var value = values[name];
+        
+        if (value === undefined || value === null) {
+            return '';
+        }
+        
+        return raw ? String(value) : escapeHtml(value);
+    });
+}
+
+/**
+ * Format a bucket start as wall-clock time in the series timezone
+ */
+function formatBucketLabel(timestamp, series) {
+    var time = new Date(timestamp).getTime();
+    var local = new Date(time + getTimezoneOffset(time, series.timezone)).toISOString();
+    
+    return series.interval === 'day' || series.interval === 'week' ? local.substr(0, 10) : local.substr(0, 16).replace('T', ' ');
+}
+
+/**
+ * Render one field of a time series as an inline SVG line chart
+ */
+function renderLineChart(title, series, field) {
+    var width = 540;
+    var height = 150;
+    var padding = 30;
+    var buckets = series.buckets;
+    var maxValue = 1;
+    
+    buckets.forEach(function(bucket) {
+        maxValue = Math.max(maxValue, bucket[field]);
+    });
+    
+    var points = buckets.map(function(bucket, index) {
+        var x = padding + (buckets.length > 1 ? index / (buckets.length - 1) : 0.5) * (width - 2 * padding);
+        var y = height - padding - bucket[field] / maxValue * (height - 2 * padding);
+        return x.toFixed(1) + ',' + y.toFixed(1);
+    });
+    
+    var svg = '<svg class="chart" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">';
+    svg += renderTemplate('<text x="{{x}}" y="16" class="chart-title">{{title}}</text>', { x: padding, title: title });
+    svg += '<line x1="' + padding + '" y1="' + (height - padding) + '" x2="' + (width - padding) + '" y2="' + (height - padding) + '" class="chart-axis"/>';
+    svg += '<text x="' + (padding - 4) + '" y="' + (padding + 4) + '" text-anchor="end" class="chart-label">' + maxValue + '</text>';
+    svg += '<text x="' + (padding - 4) + '" y="' + (height - padding + 4) + '" text-anchor="end" class="chart-label">0</text>';
+    
+    if (buckets.length > 0) {
+        svg += renderTemplate('<text x="{{x}}" y="{{y}}" class="chart-label">{{label}}</text>', {
+            x: padding,
+            y: height - 10,
+            label: formatBucketLabel(buckets[0].start, series)
+        });
+        svg += renderTemplate('<text x="{{x}}" y="{{y}}" text-anchor="end" class="chart-label">{{label}}</text>', {
+            x: width - padding,
+            y: height - 10,
+            label: formatBucketLabel(buckets[buckets.length - 1].start, series)
+        });
+        svg += '<polyline points="' + points.join(' ') + '" class="chart-line"/>';
+    }
+    
+    svg += '</svg>';
+    return svg;
+}
+
+/**
+ * Get what every dashboard page needs to render its layout and keep its links: the project,
+ * the path prefix and segment it was opened with
+ * The API key is never part of a link; the dashboard session cookie carries it.
+ */
+function createPageView(query, pathProjectId, project) {
+    return {
+        excludeBots: query.excludeBots === 'true' || query.excludeBots === '1',
+        basePath: pathProjectId ? '/p/' + encodeURIComponent(pathProjectId) : '',
+        project: project,
+        segment: query.segment,
+        where: query.where
+    };
+}
+
+/**
+ * Build a dashboard link that keeps the project prefix and segment the dashboard was opened with
+ */
+function dashboardLink(view, path) {
+    var link = view.basePath + path;
+    var params = { segment: view.segment, where: view.where, excludeBots: view.excludeBots ? 'true' : '' };
+    
+    for (var name in params) {
+        if (params[name]) {
+            link += (link.indexOf('?') === -1 ? '?' : '&') + name + '=' + encodeURIComponent(params[name]);
+        }
+    }
+    
+    return link;
+}
+
+/**
+ * Render hidden form fields that keep the segment the dashboard was opened with
+ */
+function renderHiddenFields(view, indent) {
+    var fields = { segment: view.segment, where: view.where, excludeBots: view.excludeBots ? 'true' : '' };
+    var html = '';
+    
+    for (var name in fields) {
+        if (fields[name]) {
+            html += renderTemplate('{{{indent}}}<input type="hidden" name="{{name}}" value="{{value}}">\n', { indent: indent, name: name, value: fields[name] });
+        }
+    }
+    
+    return html;
+}
+
+/**
+ * Format an ISO timestamp for a dashboard table, in UTC to the second
+ */
+function formatDashboardTime(timestamp) {
+    return timestamp ? timestamp.substr(0, 19).replace('T', ' ') : '-';
+}
+
+/**
+ * Render one headline number of a card, with an element id when the live script updates it
+ */
+function renderStat(value, label, id) {
+    var html = '            <div class="stat">\n';
+    html += renderTemplate('                <div class="stat-value"{{{id}}}>{{value}}</div>\n', {
+        id: id ? renderTemplate(' id="{{id}}"', { id: id }) : '',
+        value: value
+    });
+    html += renderTemplate('                <div class="stat-label">{{label}}</div>\n', { label: label });
+    html += '            </div>\n';
+    
+    return html;
+}
+
+/**
+ * Render a table of the ten largest counts, largest first
+ */
+function renderCountTable(label, counts) {
+    var names = Object.keys(counts).sort(function(a, b) {
+        return counts[b] - counts[a];
+    }).slice(0, 10);
+    
+    var html = '            <table>\n';
+    html += renderTemplate('                <tr><th>{{label}}</th><th>Page Views</th></tr>\n', { label: label });
+    
+    if (names.length === 0) {
+        html += '                <tr><td colspan="2">No data</td></tr>\n';
+    }
+    
+    names.forEach(function(name) {
+        html += renderTemplate('                <tr><td>{{name}}</td><td>{{count}}</td></tr>\n', { name: name, count: counts[name] });
+    });
+    
+    html += '            </table>\n';
+    return html;
+}
+
+/**
+ * Serialize a value for embedding in an inline script
+ */
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Render the dashboard script that follows the live stream and updates the counters,
+ * the top pages and events tables and the activity feed
+ * Event names link to eventLink with {eventName} filled in. Tracked values are only ever
+ * set as text, never as markup.
+ */
+function renderLiveScript(stats, streamUrl, eventLink) {
+    var js = '    <script>\n';
+    js += '    (function() {\n';
+    js += '        var pageCounts = ' + toScriptJson(stats.topPages) + ';\n';
+    js += '        var eventCounts = ' + toScriptJson(stats.topEvents) + ';\n';
+    js += '        var eventLink = ' + toScriptJson(eventLink) + ';\n';
+    js += '        var feed = document.getElementById(\'live-feed\');\n';
+    js += '        \n';
+    js += '        function increment(id) {\n';
+    js += '            var element = document.getElementById(id);\n';
+    js += '            element.textContent = parseInt(element.textContent, 10) + 1;\n';
+    js += '        }\n';
+    js += '        \n';
+    js += '        function renderTable(id, counts, link) {\n';
+    js += '            var table = document.getElementById(id);\n';
+    js += '            while (table.rows.length > 1) {\n';
+    js += '                table.deleteRow(1);\n';
+    js += '            }\n';
+    js += '            for (var name in counts) {\n';
+    js += '                var row = table.insertRow(-1);\n';
+    js += '                var cell = row.insertCell(0);\n';
+    js += '                if (link) {\n';
+    js += '                    var anchor = document.createElement(\'a\');\n';
+    js += '                    anchor.href = link.replace(\'{eventName}\', encodeURIComponent(name));\n';
+    js += '                    anchor.textContent = name;\n';
+    js += '                    cell.appendChild(anchor);\n';
+    js += '                } else {\n';
+    js += '                    cell.textContent = name;\n';
+    js += '                }\n';
+    js += '                row.insertCell(1).textContent = counts[name];\n';
+    js += '            }\n';
+    js += '        }\n';
+    js += '        \n';
+    js += '        function addFeedItem(text, timestamp) {\n';
+    js += '            var item = document.createElement(\'li\');\n';
+    js += '            item.textContent = new Date(timestamp).toLocaleTimeString() + \' \' + text;\n';
+    js += '            feed.insertBefore(item, feed.firstChild);\n';
+    js += '            while (feed.children.length > 50) {\n';
+    js += '                feed.removeChild(feed.lastChild);\n';
+    js += '            }\n';
+    js += '        }\n';
+    js += '        \n';
+    js += '        var source = new EventSource(' + toScriptJson(streamUrl) + ');\n';
+    js += '        \n';
+    js += '        source.addEventListener(\'pageview\', function(message) {\n';
+    js += '            var pageView = JSON.parse(message.data);\n';
+    js += '            increment(\'live-pageviews\');\n';
+    js += '            pageCounts[pageView.page] = (pageCounts[pageView.page] || 0) + 1;\n';
+    js += '            renderTable(\'top-pages\', pageCounts);\n';
+    js += '            addFeedItem(pageView.userId + \' viewed \' + pageView.page, pageView.timestamp);\n';
+    js += '        });\n';
+    js += '        \n';
+    js += '        source.addEventListener(\'event\', function(message) {\n';
+    js += '            var event = JSON.parse(message.data);\n';
+    js += '            increment(\'live-events\');\n';
+    js += '            eventCounts[event.eventName] = (eventCounts[event.eventName] || 0) + 1;\n';
+    js += '            renderTable(\'top-events\', eventCounts, eventLink);\n';
+    js += '            addFeedItem(event.userId + \' triggered \' + event.eventName, event.timestamp);\n';
+    js += '        });\n';
+    js += '        \n';
+    js += '        source.addEventListener(\'active\', function(message) {\n';
+    js += '            document.getElementById(\'live-active\').textContent = JSON.parse(message.data).activeUsers;\n';
+    js += '        });\n';
+    js += '        \n';
+    js += '        // The server no longer has the messages missed while disconnected\n';
+    js += '        source.addEventListener(\'reset\', function() {\n';
+    js += '            window.location.reload();\n';
+    js += '        });\n';
+    js += '    })();\n';
+    js += '    </script>\n';
+    
+    return js;
+}
+
+/**
+ * Render a path analysis as an SVG flow diagram
+ * Each depth is a column of steps sized by sessions, with links between consecutive
+ * columns; time runs left to right, so in reverse the anchor is the last column.
+ */
+function renderPathDiagram(report) {
+    var width = 1100;
+    var height = 380;
+    var padding = 20;
+    var nodeWidth = 12;
+    var labelWidth = 170;
+    var top = padding + 20;
+    var bottom = height - padding - 20;
+    var columnGap = (width - 2 * padding - nodeWidth - labelWidth) / report.depth;
+    var scale = (bottom - top - PATH_NODES_PER_STEP * 8) / Math.max(report.sessions, 1);
+    var positions = [];
+    
+    var svg = '<svg class="chart" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">';
+    svg += renderTemplate('<text x="{{x}}" y="16" class="chart-title">{{title}}</text>', {
+        x: padding,
+        title: (report.mode === 'reverse' ? 'Paths leading to ' : 'Paths from ') + report.anchor + ' (' + report.sessions + ' sessions)'
+    });
+    
+    report.steps.forEach(function(step) {
+        var column = report.mode === 'reverse' ? report.depth - step.depth : step.depth;
+        var x = padding + column * columnGap;
+        var y = top;
+        
+        positions[step.depth] = Object.create(null);
+        step.nodes.forEach(function(node) {
+            var nodeHeight = Math.max(2, node.sessions * scale);
+            var label = node.label.length > 24 ? node.label.substr(0, 23) + '…' : node.label;
+            
+            positions[step.depth][node.label] = { x: x, y: y, outY: y, inY: y };
+            svg += '<rect x="' + x.toFixed(1) + '" y="' + y.toFixed(1) + '" width="' + nodeWidth + '" height="' + nodeHeight.toFixed(1) + '" class="' + (node.label === PATH_OTHER_LABEL ? 'path-other' : 'path-node') + '"/>';
+            svg += renderTemplate('<text x="{{x}}" y="{{y}}" class="chart-label">{{label}}</text>', {
+                x: (x + nodeWidth + 4).toFixed(1),
+                y: (y + Math.min(nodeHeight, 20) / 2 + 4).toFixed(1),
+                label: label + ' (' + node.sessions + ')'
+            });
+            y += nodeHeight + 8;
+        });
+        
+        var caption = step.depth === 0 ? (report.mode === 'reverse' ? 'End' : 'Start') :
+            'Step ' + (report.mode === 'reverse' ? '-' : '+') + step.depth + ': ' + step.sessions + ' (' + step.dropOff + ' dropped off)';
+        svg += renderTemplate('<text x="{{x}}" y="{{y}}" class="chart-label">{{caption}}</text>', { x: x.toFixed(1), y: height - padding, caption: caption });
+    });
+    
+    report.links.forEach(function(link) {
+        var nearer = positions[link.depth - 1];
+        var further = positions[link.depth];
+        var source = report.mode === 'reverse' ? further[link.from] : nearer[link.from];
+        var target = report.mode === 'reverse' ? nearer[link.to] : further[link.to];
+        var strokeWidth = Math.max(1, link.sessions * scale);
+        var x1 = source.x + nodeWidth;
+        var y1 = source.outY + strokeWidth / 2;
+        var x2 = target.x;
+        var y2 = target.inY + strokeWidth / 2;
+        var middle = (x1 + x2) / 2;
+        
+        source.outY += strokeWidth;
+        target.inY += strokeWidth;
+        svg += renderTemplate('<path d="{{path}}" stroke-width="{{width}}" class="path-link"><title>{{title}}</title></path>', {
+            path: 'M' + x1.toFixed(1) + ',' + y1.toFixed(1) + ' C' + middle.toFixed(1) + ',' + y1.toFixed(1) + ' ' + middle.toFixed(1) + ',' + y2.toFixed(1) + ' ' + x2.toFixed(1) + ',' + y2.toFixed(1),
+            width: strokeWidth.toFixed(1),
+            title: link.from + ' → ' + link.to + ': ' + link.sessions
+        });
+    });
+    
+    svg += '</svg>';
+    return svg;
+}
+
+/**
+ * Render the path analysis card, with a form to pick the page or event paths start or end at
+ */
+function renderPathsCard(view) {
+    var report = view.paths;
+    var html = '        <div class="card">\n';
+    html += '            <h2>Paths</h2>\n';
+    html += renderTemplate('            <form method="GET" action="{{action}}">\n', { action: view.basePath + '/' });
+    html += renderHiddenFields(view, '                ');
+    html += '                <select name="pathMode">\n';
+    html += '                    <option value="start">Next steps from</option>\n';
+    html += '                    <option value="end"' + (report && report.mode === 'reverse' ? ' selected' : '') + '>Steps leading to</option>\n';
+    html += '                </select>\n';
+    html += renderTemplate('                <input type="text" name="path" placeholder="/home or event:purchase" value="{{anchor}}">\n', { anchor: report ? report.anchor : '' });
+    html += '                <button type="submit">Show</button>\n';
+    html += '            </form>\n';
+    
+    if (!report) {
+        html += '            <p>No page views in this time range.</p>\n';
+    } else if (report.sessions === 0) {
+        html += renderTemplate('            <p>No session {{verb}} {{anchor}} in this time range.</p>\n', {
+            verb: report.mode === 'reverse' ? 'reached' : 'started from',
+            anchor: report.anchor
+        });
+    } else {
+        html += renderTemplate('            {{{diagram}}}\n', { diagram: renderPathDiagram(report) });
+    }
+    
+    html += '        </div>\n';
+    return html;
+}
+
+/**
+ * Analyze the paths the dashboard shows: from or to the "path" parameter, else from the top page
+ */
+function getDashboardPaths(projectId, stats, query, range) {
+    var anchor = query.path;
+    
+    if (!anchor) {
+        anchor = Object.keys(stats.topPages).sort(function(a, b) {
+            return stats.topPages[b] - stats.topPages[a];
+        })[0];
+    }
+    if (!anchor) {
+        return null;
+    }
+    
+    var pathQuery = parsePathQuery(query.pathMode === 'end' ? { end: anchor } : { start: anchor });
+    return analyzePaths(projectId, pathQuery.options, range);
+}
+
+/**
+ * Render the revenue of the purchase event per currency
+ */
+function renderRevenueCard(revenue) {
+    var html = '        <div class="card">\n';
+    html += '            <h2>Revenue</h2>\n';
+    
+    if (revenue.currencies.length === 0) {
+        html += renderTemplate('            <p>No {{eventName}} events with a numeric {{property}} property in this time range.</p>\n', {
+            eventName: revenue.eventName,
+            property: REVENUE_AMOUNT_PROPERTY
+        });
+        html += '        </div>\n';
+        return html;
+    }
+    
+    html += '            <table>\n';
+    html += '                <tr><th>Currency</th><th>Revenue</th><th>Orders</th><th>Paying Users</th><th>Average Order</th><th>Per User</th><th>Per Paying User</th></tr>\n';
+    
+    revenue.currencies.forEach(function(entry) {
+        html += renderTemplate('                <tr><td>{{currency}}</td><td>{{revenue}}</td><td>{{orders}}</td><td>{{payingUsers}}</td>' +
+            '<td>{{averageOrder}}</td><td>{{perUser}}</td><td>{{perPayingUser}}</td></tr>\n', {
+            currency: entry.currency || '-',
+            revenue: entry.revenue.toFixed(2),
+            orders: entry.orders,
+            payingUsers: entry.payingUsers,
+            averageOrder: entry.averageOrderValue.toFixed(2),
+            perUser: entry.revenuePerUser.toFixed(2),
+            perPayingUser: entry.revenuePerPayingUser.toFixed(2)
+        });
+    });
+    
+    html += '            </table>\n';
+    html += '        </div>\n';
+    return html;
+}
+
+/**
+ * Format the value of an alert, as a percent change for comparison rules
+ */
+function formatAlertValue(value, isChange) {
+    if (value === null || value === undefined) {
+        return '-';
+    }
+    
+    return isChange ? (value > 0 ? '+' : '') + value + '%' : String(value);
+}
+
+/**
+ * Render the alert rules with their state, and the most recent alerts with their webhook delivery
+ */
+function renderAlertsCard(alerts) {
+    var html = '        <div class="card">\n';
+    html += '            <h2>Alerts</h2>\n';
+    
+    if (alerts.rules.length === 0) {
+        html += '            <p>No alert rules defined yet. Create one with POST /api/alerts.</p>\n';
+    } else {
+        html += '            <table>\n';
+        html += '                <tr><th>Rule</th><th>Condition</th><th>State</th><th>Last Value</th></tr>\n';
+        
+        alerts.rules.forEach(function(rule) {
+            var state = rule.enabled ? rule.state : 'disabled';
+            
+            html += renderTemplate('                <tr><td>{{name}}</td><td>{{condition}}</td><td class="alert-{{state}}">{{state}}</td><td>{{value}}</td></tr>\n', {
+                name: rule.name,
+                condition: describeAlertRule(rule),
+                state: state,
+                value: formatAlertValue(rule.lastValue, !!rule.compareTo)
+            });
+        });
+        
+        html += '            </table>\n';
+    }
+    
+    html += '            <h3>Recent Alerts</h3>\n';
+    
+    if (alerts.history.length === 0) {
+        html += '            <p>No alerts yet.</p>\n';
+    } else {
+        html += '            <table>\n';
+        html += '                <tr><th>Time</th><th>Rule</th><th>State</th><th>Value</th><th>Webhook</th></tr>\n';
+        
+        alerts.history.forEach(function(alert) {
+            html += renderTemplate('                <tr><td>{{time}}</td><td>{{name}}</td><td class="alert-{{state}}">{{state}}</td><td>{{value}}</td><td>{{delivery}}</td></tr>\n', {
+                time: formatDashboardTime(alert.at),
+                name: alert.ruleName,
+                state: alert.state,
+                value: formatAlertValue(alert.value, alert.baseline !== null),
+                delivery: alert.delivery + (alert.error ? ' (' + alert.error + ')' : '')
+            });
+        });
+        
+        html += '            </table>\n';
+    }
+    
+    html += '        </div>\n';
+    return html;
+}
+
+/**
+ * Render the Experiments card: the variants of each running experiment compared on the goal event
+ */
+function renderExperimentsCard(experiments) {
+    var html = '        <div class="card">\n';
+    html += renderTemplate('            <h2>Experiments (goal: {{goal}})</h2>\n', { goal: EXPERIMENT_GOAL_EVENT });
+    
+    if (experiments.length === 0) {
+        html += renderTemplate('            <p>No running experiments. Record exposures with POST /api/track/exposure or {{event}} events.</p>\n', { event: EXPERIMENT_EXPOSURE_EVENT });
+    }
+    
+    experiments.forEach(function(experiment) {
+        html += renderTemplate('            <h3>{{experimentId}} <small>since {{since}}{{excluded}}</small></h3>\n', {
+            experimentId: experiment.experimentId,
+            since: formatDashboardTime(experiment.firstExposure),
+            excluded: experiment.excludedPeople ? ', ' + experiment.excludedPeople + ' people in several variants left out' : ''
+        });
+        html += '            <table>\n';
+        html += renderTemplate('                <tr><th>Variant</th><th>Exposures</th><th>Conversions</th><th>Conversion Rate</th><th>{{confidence}}% Interval</th><th>Lift</th><th>p-value</th></tr>\n', {
+            confidence: Math.round(experiment.confidence * 1000) / 10
+        });
+        
+        experiment.variants.forEach(function(variant) {
+            var comparison = variant.comparison;
+            
+            html += renderTemplate('                <tr><td>{{variant}}</td><td>{{exposures}}</td><td>{{conversions}}</td><td>{{rate}}%</td><td>{{low}}% - {{high}}%</td>' +
+                '<td class="{{liftClass}}">{{lift}}</td><td>{{pValue}}</td></tr>\n', {
+                variant: variant.variant + (variant.control && variant.variant !== 'control' ? ' (control)' : ''),
+                exposures: variant.exposures,
+                conversions: variant.conversions,
+                rate: variant.conversionRate,
+                low: variant.confidenceInterval.low,
+                high: variant.confidenceInterval.high,
+                liftClass: comparison && comparison.significant ? (comparison.difference > 0 ? 'lift-up' : 'lift-down') : '',
+                lift: !comparison ? '-' : comparison.lift === null ? 'n/a' : (comparison.lift > 0 ? '+' : '') + comparison.lift + '%',
+                pValue: comparison ? comparison.pValue : '-'
+            });
+        });
+        
+        html += '            </table>\n';
+    });
+    
+    html += '        </div>\n';
+    return html;
+}
+
+/**
+ * Render a dashboard page: the styles, heading and navigation around the page's content
+ * The content and script are HTML rendered by the page's own templates.
+ */
+function renderPage(view, title, content, script) {
+    var html = '<!DOCTYPE html>\n';
+    html += '<html lang="en">\n';
+    html += '<head>\n';
+    html += '    <meta charset="UTF-8">\n';
+    html += '    <meta name="viewport" content="width=device-width, initial-scale=1.0">\n';
+    html += renderTemplate('    <title>{{title}} - {{project}} - Analytics Platform</title>\n', { title: title, project: view.project.name });
+    html += '    <style>\n';
+    html += '        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }\n';
+    html += '        .container { max-width: 1200px; margin: 0 auto; }\n';
+    html += '        h1 { color: #333; }\n';
+    html += '        .card { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }\n';
+    html += '        .stat { display: inline-block; margin: 10px 20px 10px 0; }\n';
+    html += '        .stat-value { font-size: 32px; font-weight: bold; color: #0066cc; }\n';
+    html += '        .stat-label { color: #666; margin-top: 5px; }\n';
+    html += '        table { width: 100%; border-collapse: collapse; margin-top: 10px; }\n';
+    html += '        th, td { padding: 10px; text-align: left; border-bottom: 1px solid #ddd; }\n';
+    html += '        th { background: #f0f0f0; font-weight: bold; }\n';
+    html += '        a { color: #0066cc; }\n';
+    html += '        .nav { margin: 20px 0; }\n';
+    html += '        .nav a { margin-right: 15px; color: #0066cc; text-decoration: none; }\n';
+    html += '        .nav a:hover { text-decoration: underline; }\n';
+    html += '        .filter { margin: 20px 0; }\n';
+    html += '        .filter input, .filter select, .filter button { padding: 6px; font-size: 14px; }\n';
+    html += '        .columns { display: flex; flex-wrap: wrap; gap: 20px; }\n';
+    html += '        .columns > div { flex: 1; min-width: 250px; }\n';
+    html += '        .heatmap td { text-align: center; }\n';
+    html += '        .heatmap td:first-child, .heatmap td:nth-child(2) { text-align: left; }\n';
+    html += '        .feed { list-style: none; padding: 0; margin: 10px 0 0; max-height: 300px; overflow-y: auto; }\n';
+    html += '        .feed li { padding: 6px 0; border-bottom: 1px solid #eee; font-size: 14px; }\n';
+    html += '        .alert-firing { color: #c00; font-weight: bold; }\n';
+    html += '        .alert-ok, .alert-resolved { color: #080; }\n';
+    html += '        .path-node { fill: #0066cc; }\n';
+    html += '        .path-other { fill: #999; }\n';
+    html += '        .path-link { fill: none; stroke: #0066cc; stroke-opacity: 0.25; }\n';
+    html += '        .lift-up { color: #080; font-weight: bold; }\n';
+    html += '        .lift-down { color: #c00; font-weight: bold; }\n';
+    html += '        .muted { color: #888; }\n';
+    html += '        .properties { color: #666; font-size: 12px; word-break: break-all; }\n';
+    html += '        .pager { margin-top: 15px; }\n';
+    html += '        .pager a, .pager span { margin-right: 15px; }\n';
+    html += '        .timeline { list-style: none; margin: 10px 0 0 6px; padding: 0 0 0 20px; border-left: 2px solid #ddd; }\n';
+    html += '        .timeline li { position: relative; padding: 6px 0; font-size: 14px; }\n';
+    html += '        .timeline li:before { content: ""; position: absolute; left: -27px; top: 10px; width: 10px; height: 10px; border-radius: 50%; background: #0066cc; }\n';
+    html += '        .timeline li.timeline-event:before { background: #e67e22; }\n';
+    html += '        .timeline time { color: #666; margin-right: 10px; font-family: monospace; }\n';
+    html += '        .journey-pageview { fill: #0066cc; fill-opacity: 0.6; }\n';
+    html += '        .journey-event { fill: #e67e22; fill-opacity: 0.8; }\n';
+    html += '        .chart { margin: 10px 20px 10px 0; }\n';
+    html += '        .chart-title { font-size: 14px; font-weight: bold; fill: #333; }\n';
+    html += '        .chart-label { font-size: 11px; fill: #666; }\n';
+    html += '        .chart-axis { stroke: #ddd; }\n';
+    html += '        .chart-line { fill: none; stroke: #0066cc; stroke-width: 2; }\n';
+    html += '    </style>\n';
+    html += '</head>\n';
+    html += '<body>\n';
+    html += '    <div class="container">\n';
+    html += renderTemplate('        <h1>📊 Data Analytics Platform - {{project}}</h1>\n', { project: view.project.name });
+    html += '        <div class="nav">\n';
+    html += renderTemplate('            <a href="{{link}}">Dashboard</a>\n', { link: dashboardLink(view, '/') });
+    html += renderTemplate('            <a href="{{link}}">Users</a>\n', { link: dashboardLink(view, '/users') });
+    html += renderTemplate('            <a href="{{link}}">Events</a>\n', { link: dashboardLink(view, '/events') });
+    html += renderTemplate('            <a href="{{link}}">Last Hour</a>\n', { link: dashboardLink(view, '/?hours=1') });
+    html += renderTemplate('            <a href="{{link}}">Last 24 Hours</a>\n', { link: dashboardLink(view, '/?hours=24') });
+    html += renderTemplate('            <a href="{{link}}">Last Week</a>\n', { link: dashboardLink(view, '/?hours=168') });
+    html += '        </div>\n';
+    html += content;
+    html += '    </div>\n';
+    html += script || '';
+    html += '</body>\n';
+    html += '</html>';
+    
+    return html;
+}
+
+/**
+ * Generate HTML dashboard
+ */
+function generateDashboard(stats, view) {
+    var html = renderTemplate('        <form class="filter" method="GET" action="{{action}}">\n', { action: view.basePath + '/' });
+    html += '            <select name="segment">\n';
+    html += '                <option value="">All traffic</option>\n';
+    view.segments.forEach(function(segment) {
+        html += renderTemplate('                <option value="{{name}}"{{{selected}}}>{{name}}</option>\n', {
+            name: segment.name,
+            selected: segment.name === view.segment ? ' selected' : ''
+        });
+    });
+    html += '            </select>\n';
+    html += renderTemplate('            <input type="text" name="where" size="60" placeholder="metadata.plan=premium AND page=/pricing" value="{{where}}">\n', { where: view.where });
+    html += renderTemplate('            <label><input type="checkbox" name="excludeBots" value="true"{{{checked}}}> Exclude bots</label>\n', { checked: view.excludeBots ? ' checked' : '' });
+    html += '            <button type="submit">Filter</button>\n';
+    html += '        </form>\n';
+    html += '        <div class="card">\n';
+    html += renderTemplate('            <h2>Overview ({{range}}){{where}}</h2>\n', { range: stats.timeRange, where: stats.where ? ' - ' + stats.where : '' });
+    html += renderStat(stats.totalPageViews, 'Page Views', 'live-pageviews');
+    html += renderStat(stats.uniqueUsers, 'Unique Users');
+    html += renderStat(stats.totalEvents, 'Events', 'live-events');
+    html += renderStat(stats.totalUsers, 'Total Users');
+    html += renderStat(stats.totalSessions, 'Sessions');
+    html += renderStat(stats.averageSessionDuration + 's', 'Avg. Session Duration');
+    html += renderStat(stats.bounceRate + '%', 'Bounce Rate');
+    html += renderStat(view.activeUsers, 'Active Now (' + ACTIVE_USERS_WINDOW_MINUTES + ' min)', 'live-active');
+    html += '        </div>\n';
+    if (view.comparison) {
+        html += '        <div class="card">\n';
+        html += '            <h2>Segment Comparison</h2>\n';
+        html += '            <table>\n';
+        html += '                <tr><th>Segment</th><th>Page Views</th><th>Unique Users</th><th>Events</th><th>Sessions</th><th>Bounce Rate</th><th>Avg. Session Duration</th></tr>\n';
+        
+        view.comparison.forEach(function(entry) {
+            html += renderTemplate('                <tr><td>{{segment}}</td><td>{{pageViews}}</td><td>{{uniqueUsers}}</td><td>{{events}}</td>' +
+                '<td>{{sessions}}</td><td>{{bounceRate}}%</td><td>{{duration}}s</td></tr>\n', {
+                segment: entry.segment,
+                pageViews: entry.stats.totalPageViews,
+                uniqueUsers: entry.stats.uniqueUsers,
+                events: entry.stats.totalEvents,
+                sessions: entry.stats.totalSessions,
+                bounceRate: entry.stats.bounceRate,
+                duration: entry.stats.averageSessionDuration
+            });
+        });
+        
+        html += '            </table>\n';
+        html += '        </div>\n';
+    }
+    
+    html += '        <div class="card">\n';
+    html += renderTemplate('            <h2>Trends (per {{interval}}, {{timezone}})</h2>\n', { interval: stats.series.interval, timezone: stats.series.timezone });
+    html += renderTemplate('            {{{chart}}}\n', { chart: renderLineChart('Page Views', stats.series, 'pageViews') });
+    html += renderTemplate('            {{{chart}}}\n', { chart: renderLineChart('Events', stats.series, 'events') });
+    html += renderTemplate('            {{{chart}}}\n', { chart: renderLineChart('Unique Users', stats.series, 'uniqueUsers') });
+    html += renderTemplate('            {{{chart}}}\n', { chart: renderLineChart('New Users', stats.series, 'newUsers') });
+    html += '        </div>\n';
+    html += '        <div class="card">\n';
+    html += '            <h2>Top Pages</h2>\n';
+    html += '            <table id="top-pages">\n';
+    html += '                <tr><th>Page</th><th>Views</th></tr>\n';
+    
+    for (var page in stats.topPages) {
+        html += renderTemplate('                <tr><td>{{page}}</td><td>{{count}}</td></tr>\n', { page: page, count: stats.topPages[page] });
+    }
+    
+    html += '            </table>\n';
+    html += '        </div>\n';
+    html += '        <div class="card">\n';
+    html += '            <h2>Top Events</h2>\n';
+    html += '            <table id="top-events">\n';
+    html += '                <tr><th>Event</th><th>Count</th></tr>\n';
+    
+    for (var event in stats.topEvents) {
+        html += renderTemplate('                <tr><td><a href="{{link}}">{{event}}</a></td><td>{{count}}</td></tr>\n', {
+            link: dashboardLink(view, '/events/' + encodeURIComponent(event)),
+            event: event,
+            count: stats.topEvents[event]
+        });
+    }
+    
+    html += '            </table>\n';
+    html += '        </div>\n';
+    html += '        <div class="card">\n';
+    html += '            <h2>Traffic Sources</h2>\n';
+    html += '            <div class="columns">\n';
+    html += '                <div>\n' + renderCountTable('Source', stats.referrerTypes) + '                </div>\n';
+    html += '                <div>\n' + renderCountTable('Referrer', stats.topReferrers) + '                </div>\n';
+    html += '                <div>\n' + renderCountTable('Campaign', stats.campaigns) + '                </div>\n';
+    html += '            </div>\n';
+    html += '        </div>\n';
+    html += '        <div class="card">\n';
+    html += '            <h2>Browsers and Devices</h2>\n';
+    html += '            <div class="columns">\n';
+    html += '                <div>\n' + renderCountTable('Browser', stats.browsers) + '                </div>\n';
+    html += '                <div>\n' + renderCountTable('Operating System', stats.operatingSystems) + '                </div>\n';
+    html += '                <div>\n' + renderCountTable('Device', stats.devices) + '                </div>\n';
+    html += '            </div>\n';
+    html += '        </div>\n';
+    html += renderRevenueCard(stats.revenue);
+    html += '        <div class="card">\n';
+    html += '            <h2>Live Activity</h2>\n';
+    
+    if (view.live) {
+        html += '            <ul class="feed" id="live-feed"></ul>\n';
+    } else {
+        html += '            <p>Live updates are paused while a filter, bot exclusion or a fixed end time is applied.</p>\n';
+    }
+    
+    html += '        </div>\n';
+    html += '        <div class="card">\n';
+    html += renderTemplate('            <h2>Retention ({{period}}ly cohorts)</h2>\n', { period: view.retention.period });
+    html += '            <table class="heatmap">\n';
+    html += '                <tr><th>Cohort</th><th>Users</th>';
+    view.retention.cohorts.forEach(function(cohort, index) {
+        html += renderTemplate('<th>{{period}}{{index}}</th>', { period: view.retention.period.charAt(0).toUpperCase(), index: index });
+    });
+    html += '</tr>\n';
+    
+    view.retention.cohorts.forEach(function(cohort) {
+        html += renderTemplate('                <tr><td>{{label}}</td><td>{{size}}</td>', { label: cohort.label, size: cohort.size });
+        cohort.retention.forEach(function(cell) {
+            html += renderTemplate('<td style="background: rgba(0, 102, 204, {{opacity}}); color: {{color}}">{{percent}}%</td>', {
+                opacity: (cell.percent / 100).toFixed(2),
+                color: cell.percent > 50 ? '#fff' : '#333',
+                percent: cell.percent
+            });
+        });
+        html += '</tr>\n';
+    });
+    
+    html += '            </table>\n';
+    html += '        </div>\n';
+    html += '        <div class="card">\n';
+    html += '            <h2>Funnels</h2>\n';
+    
+    if (view.funnels.length === 0) {
+        html += '            <p>No funnels defined yet. Create one with POST /api/funnels.</p>\n';
+    }
+    
+    view.funnels.forEach(function(report) {
+        html += renderTemplate('            <h3>{{name}} <small>(within {{hours}}h)</small></h3>\n', { name: report.name, hours: report.conversionWindowHours });
+        html += '            <table>\n';
+        html += '                <tr><th>Step</th><th>Users</th><th>Conversion</th><th>Overall</th><th>Drop-off</th><th>Median Time</th></tr>\n';
+        
+        report.steps.forEach(function(step) {
+            html += renderTemplate('                <tr><td>{{step}}. {{label}}</td><td>{{count}}</td><td>{{conversion}}%</td><td>{{overall}}%</td>' +
+                '<td>{{dropOff}}</td><td>{{medianTime}}</td></tr>\n', {
+                step: step.step,
+                label: step.label,
+                count: step.count,
+                conversion: step.conversionRate,
+                overall: step.overallConversionRate,
+                dropOff: step.dropOff,
+                medianTime: step.medianSecondsFromPreviousStep === null ? '-' : Math.round(step.medianSecondsFromPreviousStep) + 's'
+            });
+        });
+        
+        html += '            </table>\n';
+    });
+    
+    html += '        </div>\n';
+    html += renderPathsCard(view);
+    html += renderExperimentsCard(view.experiments);
+    html += renderAlertsCard(view.alerts);
+    
+    var script = view.live ? renderLiveScript(stats, dashboardLink(view, '/api/stream'), dashboardLink(view, '/events/{eventName}')) : '';
+    return renderPage(view, 'Dashboard', html, script);
+}
+
+/**
+ * Render the links that show a dashboard page over a different time range
+ */
+function renderRangeLinks(view, path) {
+    var ranges = { 'Last Hour': 1, 'Last 24 Hours': 24, 'Last Week': 168, 'Last 30 Days': 720 };
+    var html = '            <p>\n';
+    
+    for (var label in ranges) {
+        html += renderTemplate('                <a href="{{link}}">{{label}}</a>\n', {
+            link: dashboardLink(view, path + '?hours=' + ranges[label]),
+            label: label
+        });
+    }
+    
+    html += '            </p>\n';
+    return html;
+}
+
+/**
+ * Link to a person's timeline, or show the anonymous visitor or session they are known as
+ */
+function renderPersonLink(view, person) {
+    if (/^(anon|session):/.test(person)) {
+        return renderTemplate('<span class="muted">{{person}}</span>', { person: person });
+    }
+    
+    return renderTemplate('<a href="{{link}}">{{person}}</a>', { link: dashboardLink(view, '/users/' + encodeURIComponent(person)), person: person });
+}
+
+/**
+ * Render event properties as compact name=value text
+ */
+function formatProperties(properties) {
+    var flat = flattenRecord(properties || {}, '', {});
+    
+    return Object.keys(flat).map(function(name) {
+        return name + '=' + (typeof flat[name] === 'string' ? flat[name] : JSON.stringify(flat[name]));
+    }).join(', ');
+}
+
+/**
+ * Render a page with just a message, such as what could not be found
+ */
+function renderMessagePage(view, title, message) {
+    var html = '        <div class="card">\n';
+    html += renderTemplate('            <h2>{{title}}</h2>\n', { title: title });
+    html += renderTemplate('            <p>{{message}}</p>\n', { message: message });
+    html += '        </div>\n';
+    
+    return renderPage(view, title, html);
+}
+
+/**
+ * Render the users page: a search form and one page of users with links to their timelines
+ */
+function renderUsersPage(view, list) {
+    var html = '        <div class="card">\n';
+    html += renderTemplate('            <h2>Users ({{total}})</h2>\n', { total: list.total });
+    html += renderTemplate('            <form class="filter" method="GET" action="{{action}}">\n', { action: view.basePath + '/users' });
+    html += renderHiddenFields(view, '                ');
+    html += renderTemplate('                <input type="text" name="q" size="40" placeholder="User ID, name or email" value="{{search}}">\n', { search: list.search });
+    html += '                <button type="submit">Search</button>\n';
+    html += '            </form>\n';
+    
+    if (list.users.length === 0) {
+        html += renderTemplate('            <p>{{message}}</p>\n', { message: list.search ? 'No users match "' + list.search + '".' : 'No users registered yet.' });
+        html += '        </div>\n';
+        return renderPage(view, 'Users', html);
+    }
+    
+    html += '            <table>\n';
+    html += '                <tr><th>User</th><th>Name</th><th>Email</th><th>Registered</th><th>Last Seen</th><th>Metadata</th></tr>\n';
+    
+    list.users.forEach(function(user) {
+        html += renderTemplate('                <tr><td>{{{user}}}</td><td>{{name}}</td><td>{{email}}</td><td>{{registered}}</td><td>{{lastSeen}}</td>' +
+            '<td class="properties">{{metadata}}</td></tr>\n', {
+            user: renderPersonLink(view, user.userId),
+            name: user.name,
+            email: user.email,
+            registered: formatDashboardTime(user.registeredAt),
+            lastSeen: formatDashboardTime(user.lastSeen),
+            metadata: formatProperties(user.metadata)
+        });
+    });
+    
+    html += '            </table>\n';
+    html += '            <div class="pager">\n';
+    
+    var params = list.search ? 'q=' + encodeURIComponent(list.search) + '&' : '';
+    if (list.page > 1) {
+        html += renderTemplate('                <a href="{{link}}">&larr; Previous</a>\n', { link: dashboardLink(view, '/users?' + params + 'page=' + (list.page - 1)) });
+    }
+    html += renderTemplate('                <span>Page {{page}} of {{pages}}</span>\n', { page: list.page, pages: list.pages });
+    if (list.page < list.pages) {
+        html += renderTemplate('                <a href="{{link}}">Next &rarr;</a>\n', { link: dashboardLink(view, '/users?' + params + 'page=' + (list.page + 1)) });
+    }
+    
+    html += '            </div>\n';
+    html += '        </div>\n';
+    return renderPage(view, 'Users', html);
+}
+
+/**
+ * Render a user's page views and events as dots on a time axis, page views above events
+ */
+function renderJourneyChart(actions) {
+    var width = 1100;
+    var height = 120;
+    var padding = 30;
+    var first = actions[0].time;
+    var span = Math.max(actions[actions.length - 1].time - first, 1);
+    
+    var svg = renderTemplate('<svg class="chart" width="{{width}}" height="{{height}}" viewBox="0 0 {{width}} {{height}}">', { width: width, height: height });
+    svg += renderTemplate('<text x="{{x}}" y="16" class="chart-title">Activity</text>', { x: padding });
+    svg += renderTemplate('<text x="{{x}}" y="44" class="chart-label">Pages</text><text x="{{x}}" y="74" class="chart-label">Events</text>', { x: 0 });
+    svg += renderTemplate('<line x1="{{x1}}" y1="{{y}}" x2="{{x2}}" y2="{{y}}" class="chart-axis"/>', { x1: padding + 20, x2: width - padding, y: height - padding });
+    
+    actions.forEach(function(action) {
+        var x = padding + 20 + (action.time - first) / span * (width - 2 * padding - 20);
+        
+        svg += renderTemplate('<circle cx="{{x}}" cy="{{y}}" r="4" class="journey-{{type}}"><title>{{title}}</title></circle>', {
+            x: x.toFixed(1),
+            y: action.type === 'pageview' ? 40 : 70,
+            type: action.type,
+            title: formatDashboardTime(action.record.timestamp) + ' ' + (action.type === 'pageview' ? action.record.page : action.record.eventName)
+        });
+    });
+    
+    svg += renderTemplate('<text x="{{x}}" y="{{y}}" class="chart-label">{{label}}</text>', {
+        x: padding + 20,
+        y: height - 10,
+        label: formatDashboardTime(actions[0].record.timestamp)
+    });
+    svg += renderTemplate('<text x="{{x}}" y="{{y}}" text-anchor="end" class="chart-label">{{label}}</text>', {
+        x: width - padding,
+        y: height - 10,
+        label: formatDashboardTime(actions[actions.length - 1].record.timestamp)
+    });
+    svg += '</svg>';
+    
+    return svg;
+}
+
+/**
+ * Render a user's timeline: their profile, totals, activity chart and sessions step by step
+ */
+function renderUserPage(view, userId, timeline) {
+    var user = timeline.user;
+    var actions = timeline.actions;
+    var html = '        <div class="card">\n';
+    html += renderTemplate('            <h2>{{title}}</h2>\n', { title: user && user.name ? user.name + ' (' + userId + ')' : userId });
+    
+    if (user) {
+        html += '            <table>\n';
+        html += renderTemplate('                <tr><th>Email</th><td>{{value}}</td></tr>\n', { value: user.email || '-' });
+        html += renderTemplate('                <tr><th>Registered</th><td>{{value}}</td></tr>\n', { value: formatDashboardTime(user.registeredAt) });
+        html += renderTemplate('                <tr><th>Last Seen</th><td>{{value}}</td></tr>\n', { value: formatDashboardTime(user.lastSeen) });
+        html += renderTemplate('                <tr><th>Metadata</th><td class="properties">{{value}}</td></tr>\n', { value: formatProperties(user.metadata) || '-' });
+        html += renderTemplate('                <tr><th>Anonymous IDs</th><td>{{value}}</td></tr>\n', { value: timeline.journey.anonymousIds.join(', ') || '-' });
+        html += '            </table>\n';
+    } else {
+        html += '            <p class="muted">No user record; this activity was tracked under the user ID only.</p>\n';
+    }
+    
+    html += renderStat(timeline.journey.pageViews.length, 'Page Views');
+    html += renderStat(timeline.journey.events.length, 'Events');
+    html += renderStat(timeline.totalSessions, 'Sessions');
+    html += '        </div>\n';
+    html += '        <div class="card">\n';
+    html += '            <h2>Timeline</h2>\n';
+    
+    if (actions.length === 0) {
+        html += '            <p>No page views or events yet.</p>\n';
+        html += '        </div>\n';
+        return renderPage(view, userId, html);
+    }
+    
+    html += renderTemplate('            {{{chart}}}\n', { chart: renderJourneyChart(actions) });
+    
+    if (timeline.totalSessions > timeline.sessions.length) {
+        html += renderTemplate('            <p class="muted">Showing the {{shown}} most recent of {{total}} sessions.</p>\n', {
+            shown: timeline.sessions.length,
+            total: timeline.totalSessions
+        });
+    }
+    
+    timeline.sessions.forEach(function(entry) {
+        var session = entry.session;
+        
+        html += renderTemplate('            <h3>{{start}} <small>{{details}}</small></h3>\n', {
+            start: formatDashboardTime(entry.actions[0].record.timestamp),
+            details: [
+                session.duration !== undefined ? session.duration + 's' : null,
+                session.referrer ? 'from ' + session.referrer : null,
+                session.isBot ? 'bot' : null
+            ].filter(function(detail) {
+                return detail;
+            }).join(', ')
+        });
+        html += '            <ul class="timeline">\n';
+        
+        entry.actions.forEach(function(action) {
+            var record = action.record;
+            
+            if (action.type === 'pageview') {
+                html += renderTemplate('                <li><time>{{time}}</time>Viewed {{page}}</li>\n', {
+                    time: record.timestamp.substr(11, 8),
+                    page: record.page
+                });
+            } else {
+                html += renderTemplate('                <li class="timeline-event"><time>{{time}}</time><a href="{{link}}">{{eventName}}</a> <span class="properties">{{properties}}</span></li>\n', {
+                    time: record.timestamp.substr(11, 8),
+                    link: dashboardLink(view, '/events/' + encodeURIComponent(record.eventName)),
+                    eventName: record.eventName,
+                    properties: formatProperties(record.properties)
+                });
+            }
+        });
+        
+        html += '            </ul>\n';
+    });
+    
+    html += '        </div>\n';
+    return renderPage(view, userId, html);
+}
+
+/**
+ * Render the events page: each event name in the time range with links to its drill-down
+ * over the same range
+ */
+function renderEventsPage(view, range, summaries, rangeQuery) {
+    var html = '        <div class="card">\n';
+    html += renderTemplate('            <h2>Events ({{range}})</h2>\n', { range: range.label });
+    html += renderRangeLinks(view, '/events');
+    
+    if (summaries.length === 0) {
+        html += '            <p>No events in this time range.</p>\n';
+        html += '        </div>\n';
+        return renderPage(view, 'Events', html);
+    }
+    
+    html += '            <table>\n';
+    html += '                <tr><th>Event</th><th>Count</th><th>Unique Users</th><th>Last Seen</th></tr>\n';
+    
+    summaries.forEach(function(summary) {
+        html += renderTemplate('                <tr><td><a href="{{link}}">{{eventName}}</a></td><td>{{count}}</td><td>{{uniqueUsers}}</td><td>{{lastSeen}}</td></tr>\n', {
+            link: dashboardLink(view, '/events/' + encodeURIComponent(summary.eventName) + rangeQuery),
+            eventName: summary.eventName,
+            count: summary.count,
+            uniqueUsers: summary.uniqueUsers,
+            lastSeen: formatDashboardTime(summary.lastSeen)
+        });
+    });
+    
+    html += '            </table>\n';
+    html += '        </div>\n';
+    return renderPage(view, 'Events', html);
+}
+
+/**
+ * Render an event's drill-down: totals, occurrences over time, property breakdowns and
+ * the most recent occurrences
+ */
+function renderEventPage(view, detail) {
+    var path = '/events/' + encodeURIComponent(detail.eventName);
+    var html = '        <div class="card">\n';
+    html += renderTemplate('            <h2>{{eventName}} ({{range}})</h2>\n', { eventName: detail.eventName, range: detail.timeRange });
+    html += renderRangeLinks(view, path);
+    html += renderStat(detail.total, 'Occurrences');
+    html += renderStat(detail.uniqueUsers, 'Unique Users');
+    html += renderStat(detail.sessions, 'Sessions');
+    html += renderTemplate('            {{{chart}}}\n', { chart: renderLineChart('Occurrences per ' + detail.series.interval, detail.series, 'events') });
+    html += '        </div>\n';
+    html += '        <div class="card">\n';
+    html += '            <h2>Properties</h2>\n';
+    
+    if (detail.properties.length === 0) {
+        html += '            <p>No properties in this time range.</p>\n';
+    }
+    
+    html += '            <div class="columns">\n';
+    detail.properties.forEach(function(property) {
+        html += '                <div>\n';
+        html += renderTemplate('                    <h3>{{property}} <small>({{count}} set, {{distinct}} distinct)</small></h3>\n', {
+            property: property.property,
+            count: property.count,
+            distinct: property.distinctValues
+        });
+        
+        if (property.metrics) {
+            html += renderTemplate('                    <p class="properties">sum {{sum}}, avg {{avg}}, min {{min}}, median {{median}}, max {{max}}</p>\n', {
+                sum: property.metrics.sum,
+                avg: property.metrics.avg,
+                min: property.metrics.min,
+                median: property.metrics.p50,
+                max: property.metrics.max
+            });
+        }
+        
+        html += '                    <table>\n';
+        html += '                        <tr><th>Value</th><th>Count</th><th>Share</th></tr>\n';
+        property.values.forEach(function(entry) {
+            html += renderTemplate('                        <tr><td>{{value}}</td><td>{{count}}</td><td>{{percent}}%</td></tr>\n', {
+                value: typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value),
+                count: entry.count,
+                percent: entry.percent
+            });
+        });
+        html += '                    </table>\n';
+        html += '                </div>\n';
+    });
+    html += '            </div>\n';
+    html += '        </div>\n';
+    html += '        <div class="card">\n';
+    html += '            <h2>Recent Occurrences</h2>\n';
+    
+    if (detail.recent.length === 0) {
+        html += '            <p>None in this time range.</p>\n';
+    } else {
+        html += '            <table>\n';
+        html += '                <tr><th>Time</th><th>User</th><th>Properties</th></tr>\n';
+        
+        detail.recent.forEach(function(occurrence) {
+            html += renderTemplate('                <tr><td>{{time}}</td><td>{{{person}}}</td><td class="properties">{{properties}}</td></tr>\n', {
+                time: formatDashboardTime(occurrence.timestamp),
+                person: renderPersonLink(view, occurrence.person),
+                properties: formatProperties(occurrence.properties)
+            });
+        });
+        
+        html += '            </table>\n';
+    }
+    
+    html += '        </div>\n';
+    return renderPage(view, detail.eventName, html);
+}
+
+/**
+ * Read a request body up to a size limit, answering 413 itself when it is larger
  */
-function initializeDataStore() {
-    if (fs.existsSync(DATA_FILE)) {
+function readBody(req, res, maxBytes, callback) {
+    var chunks = [];
+    var size = 0;
+    var tooLarge = false;
+    
+    req.on('data', function(chunk) {
+        if (tooLarge) {
+            return;
+        }
+        
+        size += chunk.length;
+        if (size > maxBytes) {
+            tooLarge = true;
+            res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+            res.end(JSON.stringify({ success: false, error: 'Request body exceeds ' + maxBytes + ' bytes' }));
+            return;
+        }
+        
+        chunks.push(chunk);
+    });
+    
+    req.on('end', function() {
+        if (!tooLarge) {
+            callback(Buffer.concat(chunks));
+        }
+    });
+}
+
+/**
+ * Read and parse a JSON request body, answering 413 or 400 itself when the body
+ * is too large or not a JSON object or array
+ */
+function readJsonBody(req, res, callback) {
+    readBody(req, res, MAX_BODY_BYTES, function(body) {
+        var data;
         try {
-            var fileContent = fs.readFileSync(DATA_FILE, 'utf8');
-            analyticsData = JSON.parse(fileContent);
-            console.log('Data loaded from file successfully');
+            data = JSON.parse(body.toString('utf8'));
         } catch (error) {
-            console.log('Error loading data file, using empty store:', error.message);
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: error.message }));
+            return;
         }
-    } else {
-        console.log('No existing data file found, starting fresh');
-    }
+        
+        if (!data || typeof data !== 'object') {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Request body must be a JSON object or array' }));
+            return;
+        }
+        
+        callback(data);
+    });
+}
+
+/**
+ * Send a 422 response listing field errors
+ */
+function sendValidationErrors(res, errors) {
+    res.writeHead(422, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: 'Validation failed', errors: errors }));
 }
 
 /**
- * Save data to file
+ * Decode a percent-encoded path segment, answering 400 when its encoding is malformed
+ * Returns null after answering.
  */
-function saveDataToFile() {
+function decodePathSegment(res, segment) {
     try {
-        fs.writeFileSync(DATA_FILE, JSON.stringify(analyticsData, null, 2));
-        console.log('Data saved successfully');
+        return decodeURIComponent(segment);
     } catch (error) {
-        console.log('Error saving data:', error.message);
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Malformed URL encoding in "' + segment + '"' }));
+        return null;
     }
 }
 
 /**
- * Generate unique ID
+ * Validate a tracking payload, answering 422 when it is invalid
  */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function isValidPayload(res, projectId, type, data) {
+    var errors = Array.isArray(data) ? [{ field: 'body', message: 'must be an object' }] : validateTrackedPayload(projectId, type, data);
+    
+    if (errors.length > 0) {
+        sendValidationErrors(res, errors);
+        return false;
+    }
+    
+    return true;
 }
 
 /**
- * Track page view
+ * Get the plain API key sent with a request, from a header or the "key" query parameter
  */
-function trackPageView(data) {
-    var pageView = {
-        id: generateId(),
-        timestamp: new Date().toISOString(),
-        page: data.page || '/',
-        userId: data.userId || 'anonymous',
-        sessionId: data.sessionId || generateId(),
-        referrer: data.referrer || '',
-        userAgent: data.userAgent || ''
-    };
+function getRequestApiKey(req, query) {
+    var authorization = req.headers['authorization'] || '';
     
-    analyticsData.pageViews.push(pageView);
-    saveDataToFile();
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+    if (authorization.indexOf('Bearer ') === 0) {
+        return authorization.substr(7);
+    }
     
-    return pageView;
+    return typeof query.key === 'string' ? query.key : null;
 }
 
 /**
- * Track custom event
+ * Check whether a route is a dashboard page or the live stream the dashboard follows,
+ * the only routes a dashboard session cookie is accepted for
  */
-function trackEvent(data) {
-    var event = {
-        id: generateId(),
-        timestamp: new Date().toISOString(),
-        eventName: data.eventName || 'custom_event',
-        category: data.category || 'general',
-        userId: data.userId || 'anonymous',
-        sessionId: data.sessionId || generateId(),
-        properties: data.properties || {}
-    };
+function isDashboardRoute(method, pathname) {
+    return method === 'GET' && (pathname === '/' || pathname === '/users' || pathname.startsWith('/users/') ||
+        pathname === '/events' || pathname.startsWith('/events/') || pathname === '/api/stream');
+}
+
+/**
+ * Start a dashboard session for an API key, returning its token
+ */
+function createDashboardSession(apiKey) {
+    var now = Date.now();
+    var token = crypto.randomBytes(32).toString('hex');
     
-    analyticsData.events.push(event);
-    saveDataToFile();
+    for (var existing in dashboardSessions) {
+        if (dashboardSessions[existing].expiresAt <= now) {
+            delete dashboardSessions[existing];
+        }
+    }
     
-    return event;
+    dashboardSessions[token] = { keyId: apiKey.id, expiresAt: now + DASHBOARD_SESSION_HOURS * 60 * 60 * 1000 };
+    return token;
 }
 
 /**
- * Register or update user
+ * Find the API key of the dashboard session a request's cookie refers to
+ * A session ends when it expires or its key is deleted.
  */
-function registerUser(data) {
-    var existingUserIndex = -1;
+function findDashboardSessionKey(req) {
+    var match = new RegExp('(?:^|;\\s*)' + DASHBOARD_SESSION_COOKIE + '=([0-9a-f]+)').exec(req.headers['cookie'] || '');
+    var session = match ? dashboardSessions[match[1]] : null;
     
-    for (var i = 0; i < analyticsData.users.length; i++) {
-        if (analyticsData.users[i].userId === data.userId) {
-            existingUserIndex = i;
-            break;
+    if (!session || session.expiresAt <= Date.now()) {
+        return null;
+    }
+    
+    return findApiKeyById(session.keyId);
+}
+
+/**
+ * Answer a dashboard request made with ?key= by setting a session cookie for the key and
+ * redirecting to the same address without it
+ */
+function redirectToDashboardSession(res, requestUrl, apiKey) {
+    var parsed = url.parse(requestUrl, true);
+    
+    delete parsed.query.key;
+    delete parsed.search;
+    
+    res.writeHead(303, {
+        'Location': url.format(parsed),
+        'Set-Cookie': DASHBOARD_SESSION_COOKIE + '=' + createDashboardSession(apiKey) + '; Path=/; HttpOnly; SameSite=Strict; Max-Age=' + DASHBOARD_SESSION_HOURS * 60 * 60
+    });
+    res.end();
+}
+
+/**
+ * Serve the browser tracker, which needs no API key
+ * The file is read once and then answered from memory, with 304 for a matching ETag.
+ */
+function serveTracker(req, res) {
+    if (!trackerScript) {
+        try {
+            var content = fs.readFileSync(TRACKER_FILE);
+            trackerScript = {
+                content: content,
+                etag: '"' + crypto.createHash('sha1').update(content).digest('hex') + '"'
+            };
+        } catch (error) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Tracker not found' }));
+            return;
         }
     }
     
-    var user = {
-        userId: data.userId || generateId(),
-        email: data.email || '',
-        name: data.name || '',
-        registeredAt: existingUserIndex === -1 ? new Date().toISOString() : analyticsData.users[existingUserIndex].registeredAt,
-        lastSeen: new Date().toISOString(),
-        metadata: data.metadata || {}
+    var headers = {
+        'Content-Type': 'application/javascript; charset=utf-8',
+        'Cache-Control': 'public, max-age=' + TRACKER_MAX_AGE_SECONDS,
+        'ETag': trackerScript.etag
     };
     
-    if (existingUserIndex !== -1) {
-        analyticsData.users[existingUserIndex] = user;
-    } else {
-        analyticsData.users.push(user);
+    if (req.headers['if-none-match'] === trackerScript.etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
     }
     
-    saveDataToFile();
-    return user;
+    res.writeHead(200, headers);
+    res.end(trackerScript.content);
 }
 
 /**
- * Get analytics statistics
+ * Answer a CORS preflight request
+ * Preflights carry no API key, so any origin allowed by some key is accepted here
+ * and the actual request is checked against its own key.
  */
-function getStatistics(timeRange) {
-    var now = new Date();
-    var startTime = new Date(now.getTime() - (timeRange || 24) * 60 * 60 * 1000);
+function handlePreflight(req, res) {
+    var origin = req.headers['origin'];
     
-    var filteredPageViews = analyticsData.pageViews.filter(function(pv) {
-        return new Date(pv.timestamp) >= startTime;
+    var allowed = origin && analyticsData.apiKeys.some(function(apiKey) {
+        return isOriginAllowed(apiKey, origin);
     });
     
-    var filteredEvents = analyticsData.events.filter(function(ev) {
-        return new Date(ev.timestamp) >= startTime;
-    });
+    if (allowed) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization');
+        res.setHeader('Access-Control-Max-Age', '600');
+    }
     
-    var uniqueUsers = {};
-    filteredPageViews.forEach(function(pv) {
-        uniqueUsers[pv.userId] = true;
-    });
+    res.writeHead(204, { 'Vary': 'Origin' });
+    res.end();
+}
+
+/**
+ * Authenticate a request against the key type its route requires, answering
+ * 401 or 403 itself when access is denied
+ * Dashboard routes also accept the key of a dashboard session cookie.
+ */
+function authenticateRequest(req, res, pathname, query) {
+    var plainKey = getRequestApiKey(req, query);
+    var origin = req.headers['origin'];
+    var sessionKey = !plainKey && isDashboardRoute(req.method, pathname) ? findDashboardSessionKey(req) : null;
     
-    var pageStats = {};
-    filteredPageViews.forEach(function(pv) {
-        pageStats[pv.page] = (pageStats[pv.page] || 0) + 1;
-    });
+    if (!plainKey && !sessionKey) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'API key required' }));
+        return null;
+    }
     
-    var eventStats = {};
-    filteredEvents.forEach(function(ev) {
-        eventStats[ev.eventName] = (eventStats[ev.eventName] || 0) + 1;
-    });
+    var apiKey = sessionKey || findApiKey(plainKey);
     
-    return {
-        timeRange: timeRange + ' hours',
-        totalPageViews: filteredPageViews.length,
-        totalEvents: filteredEvents.length,
-        uniqueUsers: Object.keys(uniqueUsers).length,
-        topPages: pageStats,
-        topEvents: eventStats,
-        totalUsers: analyticsData.users.length
-    };
+    if (!apiKey) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid API key' }));
+        return null;
+    }
+    
+    if (origin) {
+        if (!isOriginAllowed(apiKey, origin)) {
+            res.writeHead(403, { 'Content-Type': 'application/json', 'Vary': 'Origin' });
+            res.end(JSON.stringify({ error: 'Origin not allowed for this API key' }));
+            return null;
+        }
+        
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
+    
+    var requiredType = getRequiredKeyType(req.method, pathname);
+    
+    if (!hasKeyAccess(apiKey, requiredType)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'This route requires a key of type ' + requiredType }));
+        return null;
+    }
+    
+    if (isGlobalAdminRoute(pathname) && apiKey.projectId !== null) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'This route requires an admin key that is not bound to a project' }));
+        return null;
+    }
+    
+    return apiKey;
 }
 
 /**
- * Get user journey
+ * Get the project a request works on, answering 403 or 404 itself when the key
+ * may not use it or it does not exist
+ * The project comes from a /p/{projectId} path prefix, else from the key.
  */
-function getUserJourney(userId) {
-    var userPageViews = analyticsData.pageViews.filter(function(pv) {
-        return pv.userId === userId;
-    }).sort(function(a, b) {
-        return new Date(a.timestamp) - new Date(b.timestamp);
-    });
+function resolveRequestProject(res, apiKey, pathProjectId) {
+    var projectId = pathProjectId || apiKey.projectId || DEFAULT_PROJECT_ID;
     
-    var userEvents = analyticsData.events.filter(function(ev) {
-        return ev.userId === userId;
-    }).sort(function(a, b) {
-        return new Date(a.timestamp) - new Date(b.timestamp);
-    });
+    if (apiKey.projectId !== null && projectId !== apiKey.projectId) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'This API key is bound to project ' + apiKey.projectId }));
+        return null;
+    }
     
-    return {
-        userId: userId,
-        pageViews: userPageViews,
-        events: userEvents,
-        totalActions: userPageViews.length + userEvents.length
-    };
+    var project = findProject(projectId);
+    
+    if (!project) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Project not found' }));
+        return null;
+    }
+    
+    return project;
 }
 
 /**
- * Generate HTML dashboard
+ * Handle the project management routes
  */
-function generateDashboard(stats) {
-    var html = '<!DOCTYPE html>\n';
-    html += '<html lang="en">\n';
-    html += '<head>\n';
-    html += '    <meta charset="UTF-8">\n';
-    html += '    <meta name="viewport" content="width=device-width, initial-scale=1.0">\n';
-    html += '    <title>Analytics Platform Dashboard</title>\n';
-    html += '    <style>\n';
-    html += '        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }\n';
-    html += '        .container { max-width: 1200px; margin: 0 auto; }\n';
-    html += '        h1 { color: #333; }\n';
-    html += '        .card { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }\n';
-    html += '        .stat { display: inline-block; margin: 10px 20px 10px 0; }\n';
-    html += '        .stat-value { font-size: 32px; font-weight: bold; color: #0066cc; }\n';
-    html += '        .stat-label { color: #666; margin-top: 5px; }\n';
-    html += '        table { width: 100%; border-collapse: collapse; margin-top: 10px; }\n';
-    html += '        th, td { padding: 10px; text-align: left; border-bottom: 1px solid #ddd; }\n';
-    html += '        th { background: #f0f0f0; font-weight: bold; }\n';
-    html += '        .nav { margin: 20px 0; }\n';
-    html += '        .nav a { margin-right: 15px; color: #0066cc; text-decoration: none; }\n';
-    html += '        .nav a:hover { text-decoration: underline; }\n';
-    html += '    </style>\n';
-    html += '</head>\n';
-    html += '<body>\n';
-    html += '    <div class="container">\n';
-    html += '        <h1>📊 Data Analytics Platform</h1>\n';
-    html += '        <div class="nav">\n';
-    html += '            <a href="/">Dashboard</a>\n';
-    html += '            <a href="/stats?hours=1">Last Hour</a>\n';
-    html += '            <a href="/stats?hours=24">Last 24 Hours</a>\n';
-    html += '            <a href="/stats?hours=168">Last Week</a>\n';
-    html += '            <a href="/api/data">View Raw Data</a>\n';
-    html += '        </div>\n';
-    html += '        <div class="card">\n';
-    html += '            <h2>Overview (' + stats.timeRange + ')</h2>\n';
-    html += '            <div class="stat">\n';
-    html += '                <div class="stat-value">' + stats.totalPageViews + '</div>\n';
-    html += '                <div class="stat-label">Page Views</div>\n';
-    html += '            </div>\n';
-    html += '            <div class="stat">\n';
-    html += '                <div class="stat-value">' + stats.uniqueUsers + '</div>\n';
-    html += '                <div class="stat-label">Unique Users</div>\n';
-    html += '            </div>\n';
-    html += '            <div class="stat">\n';
-    html += '                <div class="stat-value">' + stats.totalEvents + '</div>\n';
-    html += '                <div class="stat-label">Events</div>\n';
-    html += '            </div>\n';
-    html += '            <div class="stat">\n';
-    html += '                <div class="stat-value">' + stats.totalUsers + '</div>\n';
-    html += '                <div class="stat-label">Total Users</div>\n';
-    html += '            </div>\n';
-    html += '        </div>\n';
-    html += '        <div class="card">\n';
-    html += '            <h2>Top Pages</h2>\n';
-    html += '            <table>\n';
-    html += '                <tr><th>Page</th><th>Views</th></tr>\n';
+function handleProjectRoutes(req, res, pathname) {
+    var projectId = pathname.split('/')[3];
     
-    for (var page in stats.topPages) {
-        html += '                <tr><td>' + page + '</td><td>' + stats.topPages[page] + '</td></tr>\n';
+    // List projects
+    if (!projectId && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(analyticsData.projects, null, 2));
+        return;
     }
     
-    html += '            </table>\n';
-    html += '        </div>\n';
-    html += '        <div class="card">\n';
-    html += '            <h2>Top Events</h2>\n';
-    html += '            <table>\n';
-    html += '                <tr><th>Event</th><th>Count</th></tr>\n';
+    // Create project
+    if (!projectId && req.method === 'POST') {
+        readJsonBody(req, res, function(data) {
+            var errors = validateSchema(PROJECT_SCHEMA, data);
+            
+            if (errors.length === 0 && data.id && findProject(data.id)) {
+                errors.push({ field: 'id', message: 'is already taken' });
+            }
+            if (errors.length > 0) {
+                sendValidationErrors(res, errors);
+                return;
+            }
+            
+            var result = createProject(data);
+            
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
+        });
+        return;
+    }
     
-    for (var event in stats.topEvents) {
-        html += '                <tr><td>' + event + '</td><td>' + stats.topEvents[event] + '</td></tr>\n';
+    if (projectId) {
+        projectId = decodePathSegment(res, projectId);
+        if (projectId === null) {
+            return;
+        }
     }
     
-    html += '            </table>\n';
-    html += '        </div>\n';
-    html += '    </div>\n';
-    html += '</body>\n';
-    html += '</html>';
+    var project = projectId ? findProject(projectId) : null;
     
-    return html;
+    if (!project || (req.method !== 'PUT' && req.method !== 'DELETE')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: project ? 'Not Found' : 'Project not found' }));
+        return;
+    }
+    
+    // Delete project
+    if (req.method === 'DELETE') {
+        if (project.id === DEFAULT_PROJECT_ID) {
+            res.writeHead(409, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'The default project cannot be deleted' }));
+            return;
+        }
+        
+        deleteProject(project);
+        writeSnapshot();
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+        return;
+    }
+    
+    // Rename project
+    readJsonBody(req, res, function(data) {
+        var errors = validateSchema({ name: PROJECT_SCHEMA.name }, data);
+        
+        if (errors.length > 0) {
+            sendValidationErrors(res, errors);
+            return;
+        }
+        
+        var result = renameProject(project, data.name);
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, data: result }));
+    });
 }
 
 /**
@@ -288,136 +6917,819 @@ function handleRequest(req, res) {
     
     console.log(req.method + ' ' + pathname);
     
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
     if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
+        handlePreflight(req, res);
+        return;
+    }
+    
+    // Browser tracker
+    if (pathname === '/tracker.js' && req.method === 'GET') {
+        serveTracker(req, res);
+        return;
+    }
+    
+    // Strip a /p/{projectId} prefix, routes below work the same with or without it
+    var pathProjectId = null;
+    var prefixMatch = /^\/p\/([^\/]+)(\/.*)?$/.exec(pathname);
+    if (prefixMatch) {
+        pathProjectId = decodePathSegment(res, prefixMatch[1]);
+        if (pathProjectId === null) {
+            return;
+        }
+        pathname = prefixMatch[2] || '/';
+    }
+    
+    // Dashboard addresses are kept out of the Referer header sent to linked sites
+    if (isDashboardRoute(req.method, pathname)) {
+        res.setHeader('Referrer-Policy', 'no-referrer');
+    }
+    
+    var apiKey = authenticateRequest(req, res, pathname, query);
+    if (!apiKey) {
+        return;
+    }
+    
+    // A dashboard page opened in a browser with ?key= (not a key header) moves to a session cookie
+    if (isDashboardRoute(req.method, pathname) && pathname !== '/api/stream' && typeof query.key === 'string' && getRequestApiKey(req, {}) === null) {
+        redirectToDashboardSession(res, req.url, apiKey);
+        return;
+    }
+    
+    // Projects
+    if (pathname === '/api/projects' || pathname.startsWith('/api/projects/')) {
+        handleProjectRoutes(req, res, pathname);
+        return;
+    }
+    
+    var project = resolveRequestProject(res, apiKey, pathProjectId);
+    if (!project) {
+        return;
+    }
+    var projectId = project.id;
+    
+    // Time range and segment of the read routes
+    var timeRange = parseTimeRangeQuery(query);
+    if (timeRange.error && (pathname === '/' || pathname === '/stats' || pathname === '/events' || pathname.startsWith('/events/') || pathname === '/api/aggregate' || pathname === '/api/paths' || pathname.startsWith('/api/funnels/') || pathname.startsWith('/api/experiments/'))) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: timeRange.error }));
+        return;
+    }
+    
+    var segmentQuery = parseSegmentQuery(projectId, query.segment, query.where);
+    if (segmentQuery.error && req.method === 'GET') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: segmentQuery.error }));
+        return;
+    }
+    if (timeRange.options) {
+        timeRange.options.filter = segmentQuery.filter;
+        timeRange.options.where = segmentQuery.where;
+        timeRange.options.excludeBots = query.excludeBots === 'true' || query.excludeBots === '1';
+    }
+    
+    // Dashboard
+    if (pathname === '/' && req.method === 'GET') {
+        var stats = getStatistics(projectId, timeRange.options);
+        var comparison = query.compare ? compareSegments(projectId, query.compare, timeRange.options) : null;
+        
+        if (comparison && comparison.error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: comparison.error }));
+            return;
+        }
+        
+        var view = createPageView(query, pathProjectId, project);
+        view.segments = getProjectRecords('segments', projectId);
+        view.comparison = comparison;
+        view.activeUsers = countActiveUsers(projectId);
+        view.live = !query.to && !query.segment && !query.where && !comparison && !timeRange.options.excludeBots;
+        view.paths = getDashboardPaths(projectId, stats, query, timeRange.options);
+        view.alerts = {
+            rules: getProjectRecords('alertRules', projectId),
+            history: getAlertHistory(projectId, { limit: 10 })
+        };
+        view.experiments = listExperiments(projectId).filter(function(experiment) {
+            return experiment.running;
+        }).map(function(experiment) {
+            return analyzeExperiment(projectId, experiment.experimentId, { goal: EXPERIMENT_GOAL_EVENT, control: null, confidence: EXPERIMENT_CONFIDENCE }, { excludeBots: timeRange.options.excludeBots });
+        });
+        view.retention = getCohorts(projectId, { period: 'week', cohorts: 8, timezone: timeRange.options.timezone });
+        view.funnels = getProjectRecords('funnels', projectId).map(function(funnel) {
+            return analyzeFunnel(funnel, timeRange.options);
+        });
+        
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(generateDashboard(stats, view));
         return;
     }
     
-    // Dashboard
-    if (pathname === '/' && req.method === 'GET') {
-        var hours = parseInt(query.hours) || 24;
-        var stats = getStatistics(hours);
-        var html = generateDashboard(stats);
+    // Dashboard pages: users, a user's timeline, events and an event's drill-down
+    if ((pathname === '/users' || pathname.startsWith('/users/') || pathname === '/events' || pathname.startsWith('/events/')) && req.method === 'GET') {
+        var pageView = createPageView(query, pathProjectId, project);
+        var pageName = null;
+        var page;
+        var status = 200;
         
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(html);
+        if (pathname.split('/')[2]) {
+            try {
+                pageName = decodeURIComponent(pathname.split('/').slice(2).join('/'));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'text/html' });
+                res.end(renderMessagePage(pageView, 'Malformed address', 'The address "' + pathname + '" has malformed URL encoding.'));
+                return;
+            }
+        }
+        
+        if (pathname.startsWith('/users')) {
+            if (!pageName) {
+                page = renderUsersPage(pageView, getUsersPage(projectId, query.q, parseInt(query.page, 10) || 1));
+            } else {
+                var timeline = getUserTimeline(projectId, pageName, segmentQuery.filter);
+                
+                if (timeline) {
+                    page = renderUserPage(pageView, pageName, timeline);
+                } else {
+                    status = 404;
+                    page = renderMessagePage(pageView, 'User not found', 'There is no user "' + pageName + '" in this project.');
+                }
+            }
+        } else {
+            // Links from the events page keep its time range
+            var rangeQuery = ['hours', 'from', 'to', 'tz'].filter(function(name) {
+                return query[name];
+            }).map(function(name) {
+                return name + '=' + encodeURIComponent(query[name]);
+            }).join('&');
+            
+            page = pageName ? renderEventPage(pageView, getEventDetail(projectId, pageName, timeRange.options)) :
+                renderEventsPage(pageView, timeRange.options, getEventSummaries(projectId, timeRange.options), rangeQuery ? '?' + rangeQuery : '');
+        }
+        
+        res.writeHead(status, { 'Content-Type': 'text/html' });
+        res.end(page);
         return;
     }
     
     // Statistics API
     if (pathname === '/stats' && req.method === 'GET') {
-        var hours = parseInt(query.hours) || 24;
-        var stats = getStatistics(hours);
+        var stats = getStatistics(projectId, timeRange.options);
+        
+        if (query.compare) {
+            stats.comparison = compareSegments(projectId, query.compare, timeRange.options);
+            
+            if (stats.comparison.error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: stats.comparison.error }));
+                return;
+            }
+        }
         
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(stats, null, 2));
         return;
     }
     
+    // Live stream
+    if (pathname === '/api/stream' && req.method === 'GET') {
+        openStream(req, res, projectId);
+        return;
+    }
+    
     // Track page view
     if (pathname === '/api/track/pageview' && req.method === 'POST') {
-        var body = '';
-        
-        req.on('data', function(chunk) {
-            body += chunk.toString();
-        });
-        
-        req.on('end', function() {
-            try {
-                var data = JSON.parse(body);
-                var result = trackPageView(data);
-                
-                res.writeHead(201, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, data: result }));
-            } catch (error) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: false, error: error.message }));
+        readJsonBody(req, res, function(data) {
+            if (!isValidPayload(res, projectId, 'pageview', data)) {
+                return;
             }
+            
+            var result = trackPageView(projectId, data);
+            
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
         });
         return;
     }
     
     // Track event
     if (pathname === '/api/track/event' && req.method === 'POST') {
-        var body = '';
-        
-        req.on('data', function(chunk) {
-            body += chunk.toString();
+        readJsonBody(req, res, function(data) {
+            if (!isValidPayload(res, projectId, 'event', data)) {
+                return;
+            }
+            
+            var result = trackEvent(projectId, data);
+            
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
         });
-        
-        req.on('end', function() {
-            try {
-                var data = JSON.parse(body);
-                var result = trackEvent(data);
-                
-                res.writeHead(201, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, data: result }));
-            } catch (error) {
+        return;
+    }
+    
+    // Track experiment exposure
+    if (pathname === '/api/track/exposure' && req.method === 'POST') {
+        readJsonBody(req, res, function(data) {
+            if (!isValidPayload(res, projectId, 'exposure', data)) {
+                return;
+            }
+            
+            var result = trackExposure(projectId, data);
+            
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
+        });
+        return;
+    }
+    
+    // Track batch
+    if (pathname === '/api/track/batch' && req.method === 'POST') {
+        readJsonBody(req, res, function(data) {
+            var items = Array.isArray(data) ? data : data.batch;
+            
+            if (!Array.isArray(items)) {
                 res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: false, error: error.message }));
+                res.end(JSON.stringify({ success: false, error: 'Expected an array of records or an object with a "batch" array' }));
+                return;
+            }
+            
+            if (items.length > MAX_BATCH_SIZE) {
+                res.writeHead(413, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: 'Batch contains ' + items.length + ' records, the maximum is ' + MAX_BATCH_SIZE }));
+                return;
+            }
+            
+            var result = trackBatch(projectId, items);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+        });
+        return;
+    }
+    
+    // Import historical data
+    if (pathname === '/api/import' && req.method === 'POST') {
+        var importFormat = query.format || 'csv';
+        
+        if (Object.keys(IMPORT_SCHEMAS).indexOf(query.type) === -1) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'type must be one of: ' + Object.keys(IMPORT_SCHEMAS).join(', ') }));
+            return;
+        }
+        if (IMPORT_FORMATS.indexOf(importFormat) === -1) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'format must be one of: ' + IMPORT_FORMATS.join(', ') }));
+            return;
+        }
+        
+        readBody(req, res, MAX_IMPORT_BYTES, function(body) {
+            var dryRun = query.dryRun === 'true' || query.dryRun === '1';
+            var result = importRecords(projectId, query.type, importFormat, body.toString('utf8'), dryRun);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+        });
+        return;
+    }
+    
+    // Identify an anonymous visitor as a user
+    if (pathname === '/api/identify' && req.method === 'POST') {
+        readJsonBody(req, res, function(data) {
+            if (!isValidPayload(res, projectId, 'identify', data)) {
+                return;
             }
+            
+            var identity = identifyUser(projectId, data);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: identity }));
         });
         return;
     }
     
     // Register user
     if (pathname === '/api/users' && req.method === 'POST') {
-        var body = '';
-        
-        req.on('data', function(chunk) {
-            body += chunk.toString();
+        readJsonBody(req, res, function(data) {
+            if (!isValidPayload(res, projectId, 'user', data)) {
+                return;
+            }
+            
+            var result = registerUser(projectId, data);
+            
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
         });
+        return;
+    }
+    
+    // List event property schemas
+    if (pathname === '/api/schemas/events' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getProjectRecords('eventSchemas', projectId), null, 2));
+        return;
+    }
+    
+    // Register event property schema
+    if (pathname.startsWith('/api/schemas/events/') && req.method === 'PUT') {
+        var schemaEventName = decodePathSegment(res, pathname.split('/')[4]);
+        if (schemaEventName === null) {
+            return;
+        }
         
-        req.on('end', function() {
-            try {
-                var data = JSON.parse(body);
-                var result = registerUser(data);
-                
-                res.writeHead(201, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, data: result }));
-            } catch (error) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: false, error: error.message }));
+        readJsonBody(req, res, function(data) {
+            var errors = validateEventSchemaDefinition(data.properties);
+            
+            if (errors.length > 0) {
+                sendValidationErrors(res, errors);
+                return;
             }
+            
+            var result = registerEventSchema(projectId, schemaEventName, data.properties);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
         });
         return;
     }
     
+    // Remove event property schema
+    if (pathname.startsWith('/api/schemas/events/') && req.method === 'DELETE') {
+        var removedEventName = decodePathSegment(res, pathname.split('/')[4]);
+        if (removedEventName === null) {
+            return;
+        }
+        
+        if (!removeEventSchema(projectId, removedEventName)) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Schema not found' }));
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+        return;
+    }
+    
+    // Export or delete everything held about one user
+    var userDataMatch = /^\/api\/users\/([^\/]+)(\/export)?$/.exec(pathname);
+    if (userDataMatch && ((userDataMatch[2] && req.method === 'GET') || (!userDataMatch[2] && req.method === 'DELETE'))) {
+        var subjectId = decodePathSegment(res, userDataMatch[1]);
+        if (subjectId === null) {
+            return;
+        }
+        
+        var mode = query.mode || 'delete';
+        var userData = getUserData(projectId, subjectId);
+        
+        if (!userDataMatch[2] && USER_DELETION_MODES.indexOf(mode) === -1) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'mode must be one of: ' + USER_DELETION_MODES.join(', ') }));
+            return;
+        }
+        if (!userData) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'No data held for this user' }));
+            return;
+        }
+        
+        if (userDataMatch[2]) {
+            recordAudit(projectId, apiKey, 'user.export', subjectId, {
+                pageViews: userData.pageViews.length,
+                events: userData.events.length,
+                sessions: userData.sessions.length
+            });
+            
+            userData.userId = subjectId;
+            userData.projectId = projectId;
+            userData.exportedAt = new Date().toISOString();
+            
+            res.writeHead(200, {
+                'Content-Type': 'application/json',
+                'Content-Disposition': 'attachment; filename="user-data.json"'
+            });
+            res.end(JSON.stringify(userData, null, 2));
+            return;
+        }
+        
+        var counts = deleteUserData(projectId, subjectId, mode, userData);
+        var auditEntry = recordAudit(projectId, apiKey, 'user.' + mode, subjectId, counts);
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, mode: mode, affected: counts, auditId: auditEntry.id }));
+        return;
+    }
+    
     // Get user journey
     if (pathname.startsWith('/api/users/') && pathname.endsWith('/journey') && req.method === 'GET') {
         var userId = pathname.split('/')[3];
-        var journey = getUserJourney(userId);
+        var journey = getUserJourney(projectId, userId, segmentQuery.filter);
         
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(journey, null, 2));
         return;
     }
     
+    // List sessions
+    if (pathname === '/api/sessions' && req.method === 'GET') {
+        var sessions = getSessions(projectId, {
+            hours: parseInt(query.hours) || 0,
+            userId: query.userId
+        });
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(sessions, null, 2));
+        return;
+    }
+    
+    // Get single session
+    if (pathname.startsWith('/api/sessions/') && req.method === 'GET') {
+        var session = findSession(projectId, pathname.split('/')[3]);
+        
+        if (!session) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Session not found' }));
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(session, null, 2));
+        return;
+    }
+    
+    // Retention cohorts
+    if (pathname === '/api/cohorts' && req.method === 'GET') {
+        var cohortQuery = parseCohortQuery(query);
+        
+        if (cohortQuery.error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: cohortQuery.error }));
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getCohorts(projectId, cohortQuery.options), null, 2));
+        return;
+    }
+    
+    // Event property aggregation
+    if (pathname === '/api/aggregate' && req.method === 'GET') {
+        var aggregateQuery = parseAggregateQuery(query);
+        
+        if (aggregateQuery.error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: aggregateQuery.error }));
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(aggregateEvents(projectId, aggregateQuery.options, timeRange.options), null, 2));
+        return;
+    }
+    
+    // Path analysis
+    if (pathname === '/api/paths' && req.method === 'GET') {
+        var pathQuery = parsePathQuery(query);
+        
+        if (pathQuery.error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: pathQuery.error }));
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(analyzePaths(projectId, pathQuery.options, timeRange.options), null, 2));
+        return;
+    }
+    
+    // List funnels
+    if (pathname === '/api/funnels' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getProjectRecords('funnels', projectId), null, 2));
+        return;
+    }
+    
+    // Define funnel
+    if (pathname === '/api/funnels' && req.method === 'POST') {
+        readJsonBody(req, res, function(data) {
+            var errors = validateFunnelDefinition(data);
+            
+            if (errors.length > 0) {
+                sendValidationErrors(res, errors);
+                return;
+            }
+            
+            var result = createFunnel(projectId, data);
+            
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
+        });
+        return;
+    }
+    
+    // Analyze or delete funnel
+    if (pathname.startsWith('/api/funnels/') && (req.method === 'GET' || req.method === 'DELETE')) {
+        var funnel = findFunnel(projectId, pathname.split('/')[3]);
+        
+        if (!funnel) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Funnel not found' }));
+            return;
+        }
+        
+        if (req.method === 'DELETE') {
+            deleteFunnel(funnel);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true }));
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(analyzeFunnel(funnel, timeRange.options), null, 2));
+        return;
+    }
+    
+    // List experiments
+    if (pathname === '/api/experiments' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listExperiments(projectId), null, 2));
+        return;
+    }
+    
+    // Analyze experiment, over every exposure unless a time range is given
+    if (pathname.startsWith('/api/experiments/') && req.method === 'GET') {
+        var experimentQuery = parseExperimentQuery(query);
+        
+        if (experimentQuery.error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: experimentQuery.error }));
+            return;
+        }
+        
+        var experimentRange = query.hours || query.from || query.to ? timeRange.options : { excludeBots: timeRange.options.excludeBots };
+        var experimentId = decodePathSegment(res, pathname.split('/')[3]);
+        if (experimentId === null) {
+            return;
+        }
+        var experiment = analyzeExperiment(projectId, experimentId, experimentQuery.options, experimentRange);
+        
+        if (!experiment) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Experiment not found' }));
+            return;
+        }
+        if (experiment.error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: experiment.error }));
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(experiment, null, 2));
+        return;
+    }
+    
+    // List alert rules
+    if (pathname === '/api/alerts' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getProjectRecords('alertRules', projectId), null, 2));
+        return;
+    }
+    
+    // Create alert rule
+    if (pathname === '/api/alerts' && req.method === 'POST') {
+        readJsonBody(req, res, function(data) {
+            var errors = validateAlertRule(data);
+            
+            if (errors.length > 0) {
+                sendValidationErrors(res, errors);
+                return;
+            }
+            
+            var result = createAlertRule(projectId, data);
+            
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
+        });
+        return;
+    }
+    
+    // Alert history
+    if (pathname === '/api/alerts/history' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getAlertHistory(projectId, query), null, 2));
+        return;
+    }
+    
+    // Get, change or delete alert rule
+    if (pathname.startsWith('/api/alerts/') && (req.method === 'GET' || req.method === 'PUT' || req.method === 'DELETE')) {
+        var alertRuleId = decodePathSegment(res, pathname.split('/')[3]);
+        if (alertRuleId === null) {
+            return;
+        }
+        var alertRule = findAlertRule(projectId, alertRuleId);
+        
+        if (!alertRule) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Alert rule not found' }));
+            return;
+        }
+        
+        if (req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(alertRule, null, 2));
+            return;
+        }
+        
+        if (req.method === 'DELETE') {
+            deleteAlertRule(alertRule);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true }));
+            return;
+        }
+        
+        readJsonBody(req, res, function(data) {
+            var definition = mergeAlertRule(alertRule, data);
+            var errors = Array.isArray(data) ? [{ field: 'body', message: 'must be an object' }] : validateAlertRule(definition);
+            
+            if (errors.length > 0) {
+                sendValidationErrors(res, errors);
+                return;
+            }
+            
+            var result = updateAlertRule(alertRule, definition);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
+        });
+        return;
+    }
+    
     // Get all data
     if (pathname === '/api/data' && req.method === 'GET') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(analyticsData, null, 2));
+        res.end(JSON.stringify(getTrackedData(projectId, segmentQuery.filter), null, 2));
+        return;
+    }
+    
+    // Export a collection
+    if (pathname.startsWith('/api/export/') && req.method === 'GET') {
+        var exportCollection = decodePathSegment(res, pathname.substring('/api/export/'.length));
+        if (exportCollection === null) {
+            return;
+        }
+        
+        var exportRequest = prepareExport(projectId, exportCollection, query, timeRange, segmentQuery.filter);
+        
+        if (exportRequest.error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: exportRequest.error }));
+            return;
+        }
+        
+        streamExport(req, res, exportRequest.records, exportRequest.options);
+        return;
+    }
+    
+    // List saved segments
+    if (pathname === '/api/segments' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getProjectRecords('segments', projectId), null, 2));
+        return;
+    }
+    
+    // Save segment
+    if (pathname.startsWith('/api/segments/') && req.method === 'PUT') {
+        var segmentName = decodePathSegment(res, pathname.split('/')[3]);
+        if (segmentName === null) {
+            return;
+        }
+        
+        readJsonBody(req, res, function(data) {
+            var errors = validateSchema(SEGMENT_SCHEMA, data);
+            
+            if (!/^[\w-]{1,64}$/.test(segmentName)) {
+                errors.push({ field: 'name', message: 'must be 1-64 letters, digits, "_" or "-"' });
+            }
+            if (errors.length === 0) {
+                try {
+                    parseFilterExpression(data.where);
+                } catch (error) {
+                    errors.push({ field: 'where', message: error.message });
+                }
+            }
+            if (errors.length > 0) {
+                sendValidationErrors(res, errors);
+                return;
+            }
+            
+            var result = saveSegment(projectId, segmentName, data);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: result }));
+        });
+        return;
+    }
+    
+    // Delete segment
+    if (pathname.startsWith('/api/segments/') && req.method === 'DELETE') {
+        var deletedSegmentName = decodePathSegment(res, pathname.split('/')[3]);
+        if (deletedSegmentName === null) {
+            return;
+        }
+        
+        var segment = findSegment(projectId, deletedSegmentName);
+        if (!segment) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Segment not found' }));
+            return;
+        }
+        
+        deleteSegment(segment);
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+        return;
+    }
+    
+    // Audit log
+    if (pathname === '/api/audit' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getAuditLog(projectId, query), null, 2));
         return;
     }
     
     // Clear all data
     if (pathname === '/api/clear' && req.method === 'POST') {
-        analyticsData = {
-            pageViews: [],
-            events: [],
-            users: [],
-            sessions: []
-        };
-        saveDataToFile();
+        commitChange({ op: 'clear', projectId: projectId });
+        writeSnapshot();
         
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'All data cleared' }));
+        res.end(JSON.stringify({ success: true, message: 'All data of project ' + projectId + ' cleared' }));
+        return;
+    }
+    
+    // List API keys
+    if (pathname === '/api/keys' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(analyticsData.apiKeys.map(describeApiKey), null, 2));
+        return;
+    }
+    
+    // Create API key
+    if (pathname === '/api/keys' && req.method === 'POST') {
+        readJsonBody(req, res, function(data) {
+            var errors = validateApiKeyData(data, false);
+            
+            if (errors.length > 0) {
+                sendValidationErrors(res, errors);
+                return;
+            }
+            
+            var created = createApiKey(data);
+            
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: describeApiKey(created.apiKey), key: created.key }));
+        });
+        return;
+    }
+    
+    // Update or revoke API key
+    if (pathname.startsWith('/api/keys/') && (req.method === 'PUT' || req.method === 'DELETE')) {
+        var targetKey = findApiKeyById(pathname.split('/')[3]);
+        
+        if (!targetKey) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'API key not found' }));
+            return;
+        }
+        
+        if (req.method === 'DELETE') {
+            if (targetKey.type === 'admin' && targetKey.projectId === null && countGlobalAdminKeys() === 1) {
+                res.writeHead(409, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: 'Cannot revoke the last global admin key' }));
+                return;
+            }
+            
+            deleteApiKey(targetKey);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true }));
+            return;
+        }
+        
+        readJsonBody(req, res, function(data) {
+            var errors = validateApiKeyData(data, true);
+            
+            if (errors.length > 0) {
+                sendValidationErrors(res, errors);
+                return;
+            }
+            
+            var updated = updateApiKey(targetKey, data);
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: describeApiKey(updated) }));
+        });
         return;
     }
     
@@ -431,6 +7743,8 @@ function handleRequest(req, res) {
  */
 function startServer() {
     initializeDataStore();
+    ensureDefaultProject();
+    ensureAdminKey();
     
     var server = http.createServer(handleRequest);
     
@@ -440,20 +7754,96 @@ function startServer() {
         console.log('=====================================');
         console.log('Server running at http://localhost:' + PORT);
         console.log('Dashboard: http://localhost:' + PORT + '/');
+        console.log('Dashboard pages: /users?q=&page=1, /users/{userId}, /events?hours=24, /events/{eventName}');
+        console.log('Browser tracker: http://localhost:' + PORT + '/tracker.js');
+        console.log('Project routes: prefix any route below with /p/{projectId}');
         console.log('API Endpoints:');
         console.log('  - POST /api/track/pageview');
         console.log('  - POST /api/track/event');
+        console.log('  - POST /api/track/batch');
+        console.log('  - POST /api/track/exposure');
+        console.log('  - POST /api/import?type=event&format=csv&dryRun=true');
+        console.log('  - POST /api/identify');
         console.log('  - POST /api/users');
         console.log('  - GET  /api/users/{userId}/journey');
+        console.log('  - GET  /api/users/{userId}/export');
+        console.log('  - DELETE /api/users/{userId}?mode=delete|anonymize');
+        console.log('  - GET  /api/audit');
+        console.log('  - GET  /api/schemas/events');
+        console.log('  - PUT  /api/schemas/events/{eventName}');
+        console.log('  - DELETE /api/schemas/events/{eventName}');
+        console.log('  - GET  /api/sessions?hours=24');
+        console.log('  - GET  /api/sessions/{sessionId}');
+        console.log('  - GET  /api/cohorts?period=week&cohorts=8');
+        console.log('  - GET  /api/aggregate?event=purchase&property=properties.amount&metrics=sum,avg,p95&groupBy=properties.currency');
+        console.log('  - GET  /api/paths?start=/home&depth=3');
+        console.log('  - GET  /api/paths?end=event:purchase&depth=3');
+        console.log('  - GET  /api/funnels');
+        console.log('  - POST /api/funnels');
+        console.log('  - GET  /api/funnels/{funnelId}?hours=24');
+        console.log('  - DELETE /api/funnels/{funnelId}');
+        console.log('  - GET  /api/experiments');
+        console.log('  - GET  /api/experiments/{experimentId}?goal=purchase&control=control&confidence=0.95');
+        console.log('  - GET  /api/alerts');
+        console.log('  - POST /api/alerts');
+        console.log('  - GET  /api/alerts/history');
+        console.log('  - GET  /api/alerts/{ruleId}');
+        console.log('  - PUT  /api/alerts/{ruleId}');
+        console.log('  - DELETE /api/alerts/{ruleId}');
+        console.log('  - GET  /api/stream');
         console.log('  - GET  /stats?hours=24');
+        console.log('  - GET  /stats?from=2024-01-01&to=2024-02-01&interval=day&tz=Europe/Berlin');
         console.log('  - GET  /api/data');
+        console.log('  - GET  /api/export/{pageViews|events|users|sessions}?format=csv');
+        console.log('  - GET  /api/segments');
+        console.log('  - PUT  /api/segments/{name}');
+        console.log('  - DELETE /api/segments/{name}');
         console.log('  - POST /api/clear');
+        console.log('  - GET  /api/projects');
+        console.log('  - POST /api/projects');
+        console.log('  - PUT  /api/projects/{projectId}');
+        console.log('  - DELETE /api/projects/{projectId}');
+        console.log('  - GET  /api/keys');
+        console.log('  - POST /api/keys');
+        console.log('  - PUT  /api/keys/{keyId}');
+        console.log('  - DELETE /api/keys/{keyId}');
         console.log('=====================================');
     });
     
     server.on('error', function(error) {
         console.error('Server error:', error.message);
     });
+    
+    setInterval(function() {
+        if (entriesSinceSnapshot > 0) {
+            writeSnapshot();
+        }
+    }, SNAPSHOT_INTERVAL_SECONDS * 1000);
+    
+    setInterval(function() {
+        if (streamClients.length > 0) {
+            broadcastActiveUsers();
+        }
+    }, ACTIVE_USERS_INTERVAL_SECONDS * 1000);
+    
+    applyRetention();
+    setInterval(applyRetention, RETENTION_INTERVAL_MINUTES * 60 * 1000);
+    
+    setInterval(evaluateAlertRules, ALERT_INTERVAL_SECONDS * 1000);
+    
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+/**
+ * Write pending changes and a final snapshot, then exit
+ */
+function shutdown() {
+    console.log('Shutting down, writing snapshot...');
+    flushLog();
+    writeSnapshot(function() {
+        process.exit(0);
+    });
 }
 
 // Start the server
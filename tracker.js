@@ -0,0 +1,386 @@
+/**
+ * Browser Tracker for Data Analytics Platform
+ * Served at GET /tracker.js and loaded by websites with:
+ *
+ *   <script async src="https://analytics.example.com/tracker.js" data-key="wk_..." data-project="shop"></script>
+ *
+ * Sends page views (including History API navigations), keeps a session ID and an
+ * anonymous ID in localStorage, and exposes window.analytics.track(), expose(), identify() and reset().
+ * Calls are queued while offline and sent in batches, with sendBeacon when the page unloads.
+ */
+
+(function(window, document) {
+    'use strict';
+    
+    var STORAGE_PREFIX = '_da_';
+    
+    // Matches the server's default session timeout
+    var SESSION_TIMEOUT_MINUTES = 30;
+    
+    // Queued calls are sent after this delay, or at once when this many are waiting
+    var FLUSH_DELAY_MS = 1000;
+    var FLUSH_SIZE = 20;
+    
+    // Calls sent per request, and the most kept while offline (the oldest are dropped)
+    var BATCH_SIZE = 50;
+    var MAX_QUEUE_SIZE = 500;
+    
+    var script = document.currentScript;
+    if (!script || (window.analytics && window.analytics.loaded)) {
+        return;
+    }
+    
+    var apiKey = script.getAttribute('data-key');
+    var project = script.getAttribute('data-project');
+    var origin = /^(https?:\/\/[^\/]+)/.exec(script.src)[1];
+    var endpoint = origin + (project ? '/p/' + encodeURIComponent(project) : '') +
+        '/api/track/batch?key=' + encodeURIComponent(apiKey || '');
+    
+    var memoryStorage = {};
+    var queue = [];
+    var sending = [];
+    var flushTimer = null;
+    var lastUrl = null;
+    
+    /**
+     * Read a stored value, falling back to memory when localStorage is unavailable
+     */
+    function getStored(name) {
+        try {
+            return window.localStorage.getItem(STORAGE_PREFIX + name);
+        } catch (error) {
+            return memoryStorage.hasOwnProperty(name) ? memoryStorage[name] : null;
+        }
+    }
+    
+    /**
+     * Store a value, or remove it when it is null
+     */
+    function setStored(name, value) {
+        try {
+            if (value === null) {
+                window.localStorage.removeItem(STORAGE_PREFIX + name);
+            } else {
+                window.localStorage.setItem(STORAGE_PREFIX + name, value);
+            }
+        } catch (error) {
+            memoryStorage[name] = value;
+        }
+    }
+    
+    /**
+     * Generate a random ID
+     */
+    function generateId() {
+        var bytes = new Uint8Array(16);
+        var id = '';
+        
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(bytes);
+        } else {
+            for (var i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+        
+        for (var j = 0; j < bytes.length; j++) {
+            id += (bytes[j] < 16 ? '0' : '') + bytes[j].toString(16);
+        }
+        
+        return id;
+    }
+    
+    /**
+     * Get the anonymous ID of this browser, creating it on first use
+     */
+    function getAnonymousId() {
+        var anonymousId = getStored('anonymous_id');
+        
+        if (!anonymousId) {
+            anonymousId = generateId();
+            setStored('anonymous_id', anonymousId);
+        }
+        
+        return anonymousId;
+    }
+    
+    /**
+     * Get the current session ID, starting a new session after the timeout
+     */
+    function getSessionId() {
+        var now = new Date().getTime();
+        var sessionId = getStored('session_id');
+        var lastActivity = parseInt(getStored('session_activity'), 10) || 0;
+        
+        if (!sessionId || now - lastActivity > SESSION_TIMEOUT_MINUTES * 60 * 1000) {
+            sessionId = generateId();
+            setStored('session_id', sessionId);
+        }
+        
+        setStored('session_activity', String(now));
+        return sessionId;
+    }
+    
+    /**
+     * Add the identity fields every page view and event carries, and the time of the call,
+     * so calls sent late from the queue are still recorded when they happened
+     */
+    function withIdentity(item) {
+        var userId = getStored('user_id');
+        
+        item.timestamp = new Date().toISOString();
+        item.anonymousId = getAnonymousId();
+        item.sessionId = getSessionId();
+        if (userId) {
+            item.userId = userId;
+        }
+        
+        return item;
+    }
+    
+    /**
+     * Load calls left unsent by an earlier page, e.g. while offline
+     */
+    function loadQueue() {
+        try {
+            queue = JSON.parse(getStored('queue')) || [];
+        } catch (error) {
+            queue = [];
+        }
+    }
+    
+    /**
+     * Keep the queue in storage so it survives navigation and reloads
+     */
+    function saveQueue() {
+        setStored('queue', queue.length > 0 ? JSON.stringify(queue) : null);
+    }
+    
+    /**
+     * Add a call to the queue and schedule a flush
+     */
+    function enqueue(item) {
+        queue.push(item);
+        if (queue.length > MAX_QUEUE_SIZE) {
+            queue.splice(0, queue.length - MAX_QUEUE_SIZE);
+        }
+        saveQueue();
+        
+        if (queue.length >= FLUSH_SIZE) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+        }
+    }
+    
+    /**
+     * Get the queued calls that are not already being sent
+     */
+    function getUnsent() {
+        return queue.filter(function(item) {
+            return sending.indexOf(item) === -1;
+        });
+    }
+    
+    /**
+     * Stop sending calls, and drop them from the queue once the server has answered for them
+     */
+    function settle(items, answered) {
+        sending = sending.filter(function(item) {
+            return items.indexOf(item) === -1;
+        });
+        if (answered) {
+            queue = queue.filter(function(item) {
+                return items.indexOf(item) === -1;
+            });
+            saveQueue();
+        }
+    }
+    
+    /**
+     * Send queued calls in batches
+     * Calls stay queued, also in storage, until the server has answered for them, so a page
+     * that closes mid-request sends them again on the next page. Calls that fail on the network
+     * or the server are sent with the next flush; rejected calls (4xx) are not retried.
+     */
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        
+        var unsent = getUnsent();
+        if (unsent.length === 0 || navigator.onLine === false) {
+            return;
+        }
+        
+        while (unsent.length > 0) {
+            send(unsent.splice(0, BATCH_SIZE));
+        }
+    }
+    
+    /**
+     * Send one batch with XMLHttpRequest
+     * A text/plain body keeps it a simple request, so no CORS preflight is needed.
+     */
+    function send(items) {
+        var xhr = new XMLHttpRequest();
+        
+        sending = sending.concat(items);
+        xhr.open('POST', endpoint, true);
+        xhr.setRequestHeader('Content-Type', 'text/plain');
+        xhr.onload = function() {
+            settle(items, xhr.status < 500);
+        };
+        xhr.onerror = function() {
+            settle(items, false);
+        };
+        xhr.send(JSON.stringify({ batch: items }));
+    }
+    
+    /**
+     * Send everything queued with sendBeacon, which outlives the page
+     * Calls already being sent stay queued for the next page in case their request is cut off.
+     */
+    function flushOnUnload() {
+        var unsent = getUnsent();
+        if (unsent.length === 0 || navigator.onLine === false || !navigator.sendBeacon) {
+            flush();
+            return;
+        }
+        
+        while (unsent.length > 0) {
+            var items = unsent.splice(0, BATCH_SIZE);
+            var body = new Blob([JSON.stringify({ batch: items })], { type: 'text/plain' });
+            
+            if (!navigator.sendBeacon(endpoint, body)) {
+                break;
+            }
+            settle(items, true);
+        }
+    }
+    
+    /**
+     * Track a page view of the current location
+     * After the first page, the previous location is sent as the referrer.
+     */
+    function page() {
+        var currentUrl = window.location.href;
+        
+        if (currentUrl === lastUrl) {
+            return;
+        }
+        
+        enqueue(withIdentity({
+            type: 'pageview',
+            page: window.location.pathname,
+            url: currentUrl,
+            referrer: lastUrl || document.referrer,
+            userAgent: navigator.userAgent
+        }));
+        lastUrl = currentUrl;
+    }
+    
+    /**
+     * Track an event
+     */
+    function track(eventName, properties) {
+        enqueue(withIdentity({
+            type: 'event',
+            eventName: eventName,
+            properties: properties || {}
+        }));
+    }
+    
+    /**
+     * Record that this visitor saw a variant of an experiment
+     */
+    function expose(experimentId, variant) {
+        enqueue(withIdentity({
+            type: 'exposure',
+            experimentId: experimentId,
+            variant: variant
+        }));
+    }
+    
+    /**
+     * Link this browser to a signed-in user, and store their traits when given
+     * email and name become user fields, other traits the user's metadata.
+     */
+    function identify(userId, traits) {
+        setStored('user_id', userId);
+        enqueue({ type: 'identify', anonymousId: getAnonymousId(), userId: userId });
+        
+        if (traits) {
+            var user = { type: 'user', userId: userId, metadata: {} };
+            
+            for (var name in traits) {
+                if (name === 'email' || name === 'name') {
+                    user[name] = traits[name];
+                } else {
+                    user.metadata[name] = traits[name];
+                }
+            }
+            
+            enqueue(user);
+        }
+    }
+    
+    /**
+     * Forget the user and start over as a new anonymous visitor, e.g. on sign-out
+     */
+    function reset() {
+        setStored('user_id', null);
+        setStored('anonymous_id', null);
+        setStored('session_id', null);
+    }
+    
+    /**
+     * Track a page view after history.pushState or replaceState
+     */
+    function wrapHistory(method) {
+        var original = window.history[method];
+        
+        window.history[method] = function() {
+            var result = original.apply(this, arguments);
+            page();
+            return result;
+        };
+    }
+    
+    // Calls made through a window.analytics = [] stub before this script loaded
+    var pending = Array.isArray(window.analytics) ? window.analytics : [];
+    
+    window.analytics = {
+        loaded: true,
+        page: page,
+        track: track,
+        expose: expose,
+        identify: identify,
+        reset: reset,
+        flush: flush
+    };
+    
+    loadQueue();
+    
+    pending.forEach(function(call) {
+        if (window.analytics[call[0]]) {
+            window.analytics[call[0]].apply(null, call.slice(1));
+        }
+    });
+    
+    if (script.getAttribute('data-auto-page') !== 'false') {
+        wrapHistory('pushState');
+        wrapHistory('replaceState');
+        window.addEventListener('popstate', page);
+        page();
+    }
+    
+    window.addEventListener('online', flush);
+    window.addEventListener('pagehide', flushOnUnload);
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') {
+            flushOnUnload();
+        }
+    });
+    
+    flush();
+})(window, document);